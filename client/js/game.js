@@ -1,6 +1,6 @@
 // Main game loop and state management
 // CLIENT-SIDE: receives authoritative state from server, renders it
-// Only sends input (angle, moving) to server
+// Only sends input (angle, moving) to server; the local player is predicted between updates
 
 import { Camera } from './camera.js';
 import { Input } from './input.js';
@@ -69,6 +69,7 @@ export class Game {
       }
       this.ui.showDeath({
         killer: data.killerName,
+        runId: data.runId,
         time: data.stats.time,
         level: data.stats.level,
         kills: data.stats.kills,
@@ -92,6 +93,8 @@ export class Game {
       this.killFeed.push({
         killer: data.killer,
         victim: data.victim,
+        killerVerified: !!data.killerVerified,
+        victimVerified: !!data.victimVerified,
         time: Date.now(),
       });
       // Keep only last 5
@@ -100,6 +103,12 @@ export class Game {
       }
     };
 
+    // Achievement unlocked
+    this.network.onAchievement = (data) => {
+      audio.playEvolution();
+      this.ui.showAchievement(data);
+    };
+
     // Player count
     this.network.onPlayerCount = (data) => {
       const el = document.getElementById('online-count');
@@ -134,10 +143,14 @@ export class Game {
     const localPlayer = this.network.getLocalPlayer();
     if (!localPlayer) return;
 
-    // Interpolate local player position for smooth camera
-    const interp = this.network.interpolateEntity(localPlayer, this.network.prevPlayers);
-    this.localPlayerX = interp.x;
-    this.localPlayerY = interp.y;
+    // Local player: predicted from our own input (falls back to interpolation until the first reconcile)
+    const prediction = this.network.prediction;
+    prediction.update(dt);
+    const pos = prediction.ready
+      ? prediction.getPosition()
+      : this.network.interpolateEntity(localPlayer, 'players');
+    this.localPlayerX = pos.x;
+    this.localPlayerY = pos.y;
 
     // Update input based on mouse position relative to player screen pos
     const playerScreen = this.camera.worldToScreen(this.localPlayerX, this.localPlayerY);
@@ -169,10 +182,10 @@ export class Game {
     this.renderer.drawSafeZone(this.camera);
 
     // Draw XP orbs
-    this.renderer.drawOrbs(this.network.orbs, this.network.prevOrbs, this.network, this.camera);
+    this.renderer.drawOrbs(this.network.orbs, this.network, this.camera);
 
     // Draw mobs
-    this.renderer.drawMobs(this.network.mobs, this.network.prevMobs, this.network, this.camera);
+    this.renderer.drawMobs(this.network.mobs, this.network, this.camera);
 
     // Update & draw trail (behind player)
     if (localPlayer && this.skinManager) {
@@ -188,7 +201,6 @@ export class Game {
     // Draw all players (with skin for local player)
     this.renderer.drawPlayers(
       this.network.players,
-      this.network.prevPlayers,
       this.network,
       this.camera,
       this.network.playerId,
@@ -211,7 +223,7 @@ export class Game {
         xp: localPlayer.xp || 0,
         level: localPlayer.l,
         xpToNextLevel: localPlayer.xn || (localPlayer.l * 100 + (localPlayer.l * localPlayer.l * 10)),
-      });
+      }, this.network.getNetStats());
     }
 
     // Draw leaderboard
@@ -220,10 +232,11 @@ export class Game {
     // Draw kill feed
     this.renderer.drawKillFeed(this.killFeed);
 
-    // Draw minimap
+    // Draw minimap (whole-map coarse data once the first minimap update has arrived)
+    const hasMinimap = this.network.minimapPlayers.length > 0;
     this.renderer.drawMinimap(
-      this.network.players,
-      this.network.mobs,
+      hasMinimap ? this.network.minimapPlayers : this.network.players,
+      hasMinimap ? this.network.minimapMobs : this.network.mobs,
       this.network.playerId,
       this.localPlayerX,
       this.localPlayerY
@@ -36,6 +36,7 @@ async function checkAuth() {
       shop.updateAccountStatus(currentUser);
       updateAccountButton();
     }
+    ui.setAccountName(currentUser ? currentUser.displayName : null);
   } catch (e) {
     // Not logged in
   }
@@ -54,22 +55,22 @@ async function handleLogin(email, password) {
   skinManager.syncFromServer(data.user.skins);
   shop.updateAccountStatus(currentUser);
   updateAccountButton();
+  ui.setAccountName(currentUser.displayName);
 
-  // Link current game session to account
-  if (network.socket) {
-    network.socket.emit('linkAccount', { userId: currentUser.id });
-  }
+  // Reconnect so the socket handshake carries the new session (links the current run too)
+  network.refreshSession();
 
   hideAuthModal();
 }
 
-async function handleRegister(email, password) {
+async function handleRegister(email, password, displayName) {
   const res = await fetch('/api/register', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
       email,
       password,
+      displayName,
       existingSkins: skinManager.getOwnedSkinIds(),
     }),
   });
@@ -80,11 +81,10 @@ async function handleRegister(email, password) {
   skinManager.syncFromServer(data.user.skins);
   shop.updateAccountStatus(currentUser);
   updateAccountButton();
+  ui.setAccountName(currentUser.displayName);
 
-  // Link current game session to account
-  if (network.socket) {
-    network.socket.emit('linkAccount', { userId: currentUser.id });
-  }
+  // Reconnect so the socket handshake carries the new session (links the current run too)
+  network.refreshSession();
 
   hideAuthModal();
 }
@@ -94,6 +94,24 @@ async function handleLogout() {
   currentUser = null;
   shop.updateAccountStatus(null);
   updateAccountButton();
+  ui.setAccountName(null);
+  network.refreshSession();
+}
+
+async function handleProfileSave(displayName) {
+  const res = await fetch('/api/profile', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ displayName }),
+  });
+  const data = await res.json();
+  if (data.error) throw new Error(data.error);
+
+  currentUser.displayName = data.profile.displayName;
+  ui.setAccountName(currentUser.displayName);
+
+  // The socket caches the account from its handshake; reconnect so the next join uses the new name
+  network.refreshSession();
 }
 
 // ========== AUTH MODAL ==========
@@ -120,12 +138,23 @@ function buildAuthModal() {
         <div class="auth-error" id="auth-error-login"></div>
       </div>
       <div class="auth-form" id="auth-form-register" style="display:none">
+        <input type="text" id="auth-name-reg" class="auth-input" placeholder="Display name" maxlength="16" autocomplete="nickname">
         <input type="email" id="auth-email-reg" class="auth-input" placeholder="Email" autocomplete="email">
         <input type="password" id="auth-pass-reg" class="auth-input" placeholder="Password (6+ chars)" autocomplete="new-password">
         <input type="password" id="auth-pass-reg-confirm" class="auth-input" placeholder="Confirm password" autocomplete="new-password">
         <button class="auth-submit" id="auth-btn-register">CREATE ACCOUNT</button>
         <div class="auth-error" id="auth-error-register"></div>
       </div>
+      <div class="auth-form" id="auth-form-profile" style="display:none">
+        <label class="auth-label" for="auth-name-profile">Display name (shown with a &#x2713; in game)</label>
+        <input type="text" id="auth-name-profile" class="auth-input" placeholder="Display name" maxlength="16" autocomplete="nickname">
+        <button class="auth-submit" id="auth-btn-profile">SAVE</button>
+        <div class="auth-error" id="auth-error-profile"></div>
+        <div class="auth-rating" id="auth-rating"></div>
+        <div class="auth-label" id="auth-achievements-title">Achievements</div>
+        <div class="achievement-list" id="auth-achievements"></div>
+        <button class="auth-secondary" id="auth-btn-logout">LOGOUT</button>
+      </div>
     </div>
   `;
 
@@ -165,12 +194,17 @@ function buildAuthModal() {
 
   // Register submit
   el.querySelector('#auth-btn-register').addEventListener('click', async () => {
+    const displayName = el.querySelector('#auth-name-reg').value.trim();
     const email = el.querySelector('#auth-email-reg').value.trim();
     const password = el.querySelector('#auth-pass-reg').value;
     const confirm = el.querySelector('#auth-pass-reg-confirm').value;
     const errEl = el.querySelector('#auth-error-register');
     errEl.textContent = '';
 
+    if (displayName.length < 2) {
+      errEl.textContent = 'Pick a display name (2-16 characters)';
+      return;
+    }
     if (password !== confirm) {
       errEl.textContent = 'Passwords do not match';
       return;
@@ -181,11 +215,27 @@ function buildAuthModal() {
     }
 
     try {
-      await handleRegister(email, password);
+      await handleRegister(email, password, displayName);
+    } catch (err) {
+      errEl.textContent = err.message;
+    }
+  });
+
+  // Profile save / logout
+  el.querySelector('#auth-btn-profile').addEventListener('click', async () => {
+    const errEl = el.querySelector('#auth-error-profile');
+    errEl.textContent = '';
+    try {
+      await handleProfileSave(el.querySelector('#auth-name-profile').value.trim());
+      hideAuthModal();
     } catch (err) {
       errEl.textContent = err.message;
     }
   });
+  el.querySelector('#auth-btn-logout').addEventListener('click', () => {
+    handleLogout();
+    hideAuthModal();
+  });
 
   // Enter key support
   el.querySelector('#auth-pass-login').addEventListener('keydown', (e) => {
@@ -194,6 +244,9 @@ function buildAuthModal() {
   el.querySelector('#auth-pass-reg-confirm').addEventListener('keydown', (e) => {
     if (e.key === 'Enter') el.querySelector('#auth-btn-register').click();
   });
+  el.querySelector('#auth-name-profile').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') el.querySelector('#auth-btn-profile').click();
+  });
 
   document.body.appendChild(el);
   return el;
@@ -201,9 +254,55 @@ function buildAuthModal() {
 
 function showAuthModal() {
   if (!authOverlay) authOverlay = buildAuthModal();
+
+  // Logged in: the modal is the profile editor instead of login/register
+  const loggedIn = !!currentUser;
+  authOverlay.querySelector('.auth-tabs').style.display = loggedIn ? 'none' : 'flex';
+  authOverlay.querySelector('.auth-title').textContent = loggedIn ? 'PROFILE' : 'ACCOUNT';
+  authOverlay.querySelector('#auth-form-profile').style.display = loggedIn ? 'flex' : 'none';
+  const activeTab = authOverlay.querySelector('.auth-tab.active').dataset.tab;
+  authOverlay.querySelector('#auth-form-login').style.display = !loggedIn && activeTab === 'login' ? 'flex' : 'none';
+  authOverlay.querySelector('#auth-form-register').style.display = !loggedIn && activeTab === 'register' ? 'flex' : 'none';
+  if (loggedIn) {
+    authOverlay.querySelector('#auth-name-profile').value = currentUser.displayName || '';
+    authOverlay.querySelector('#auth-error-profile').textContent = '';
+    loadProfileDetails();
+  }
+
   authOverlay.classList.add('active');
 }
 
+/** Fill the profile's skill rating and achievement list (locked ones dimmed) */
+async function loadProfileDetails() {
+  const list = authOverlay.querySelector('#auth-achievements');
+  const title = authOverlay.querySelector('#auth-achievements-title');
+  try {
+    const res = await fetch('/api/profile');
+    const data = await res.json();
+    if (!data.profile) return;
+
+    const { rating, games, provisional } = data.profile.rating;
+    authOverlay.querySelector('#auth-rating').textContent = games === 0
+      ? 'Skill rating: unrated (kill or be killed by another logged-in player)'
+      : `Skill rating: ${rating}${provisional ? ' (provisional)' : ''} · ${games} rated ${games === 1 ? 'fight' : 'fights'}`;
+
+    const achievements = data.profile.achievements;
+    const count = achievements.filter(a => a.unlocked).length;
+    title.textContent = `Achievements (${count}/${achievements.length})`;
+    list.innerHTML = '';
+    for (const a of achievements) {
+      const el = document.createElement('div');
+      el.className = a.unlocked ? 'achievement unlocked' : 'achievement';
+      el.innerHTML = '<span class="achievement-name"></span><span class="achievement-desc"></span>';
+      el.querySelector('.achievement-name').textContent = a.unlocked ? `🏆 ${a.name}` : a.name;
+      el.querySelector('.achievement-desc').textContent = a.description;
+      list.appendChild(el);
+    }
+  } catch (e) {
+    list.textContent = 'Could not load achievements';
+  }
+}
+
 function hideAuthModal() {
   if (authOverlay) authOverlay.classList.remove('active');
 }
@@ -212,19 +311,13 @@ function hideAuthModal() {
 function updateAccountButton() {
   const btn = document.getElementById('btn-account');
   if (!btn) return;
-  btn.textContent = currentUser ? 'LOGOUT' : 'ACCOUNT';
+  btn.textContent = currentUser ? 'PROFILE' : 'ACCOUNT';
 }
 
 // Wire account button
 const btnAccount = document.getElementById('btn-account');
 if (btnAccount) {
-  btnAccount.addEventListener('click', () => {
-    if (currentUser) {
-      handleLogout();
-    } else {
-      showAuthModal();
-    }
-  });
+  btnAccount.addEventListener('click', () => showAuthModal());
 }
 
 // Wire shop callbacks
@@ -247,8 +340,8 @@ ui.onShop = () => {
   shop.toggle();
 };
 
-// Play button -> join game
-ui.onPlay = (name) => {
+/** Hide the menu and start the game once the server confirms the join */
+function enterGame(sendJoin) {
   ui.hideMenu();
   shop.hide();
 
@@ -261,19 +354,84 @@ ui.onPlay = (name) => {
   // Initialize audio on first user interaction
   audio.init();
 
-  // Join the server with skin info
-  network.join(name, skinManager.getEquipped());
-
   // Wait for join confirmation, then start game
+  // No fitting public room yet: the server retries until one opens up
+  network.onMatchmaking = (data) => ui.showMatchmaking(data.waited);
+
   network.onJoined = () => {
+    ui.hideMatchmaking();
     game = new Game(canvas, ctx, network, ui, skinManager);
     game.start();
+    ui.showRoomBadge(network.room);
+  };
 
-    // Link account to game session if logged in
-    if (currentUser && network.socket) {
-      network.socket.emit('linkAccount', { userId: currentUser.id });
+  // Private room refused the join -> back to the menu with the reason
+  network.onJoinError = (data) => {
+    ui.hideMatchmaking();
+    canvas.classList.remove('playing');
+    ui.showMenu();
+    if (data.field === 'name') {
+      ui.showNameError(data.error);
+    } else {
+      ui.showRoomError(data.error || 'Could not join room');
     }
   };
+
+  // Join the server with skin info
+  sendJoin();
+}
+
+// Play button -> join game (best room, or the one picked in the room browser)
+ui.onPlay = (name, roomId) => {
+  enterGame(() => network.join(name, skinManager.getEquipped(), { roomId }));
+};
+
+// Join a private room by invite code
+ui.onJoinRoom = (name, code) => {
+  enterGame(() => network.join(name, skinManager.getEquipped(), { code }));
+};
+
+// Create a private room and join it
+ui.onCreateRoom = (name, settings) => {
+  enterGame(() => network.createRoom(name, skinManager.getEquipped(), settings));
+};
+
+// Owner locks/unlocks their private room
+ui.onRoomLockToggle = (locked) => {
+  network.sendRoomSettings({ locked });
+};
+
+// Reconnected and reclaimed our player (the game loop kept running)
+network.onResumed = () => {
+  ui.showRoomBadge(network.room);
+};
+
+/** Leave the running game and show the menu with a message */
+function returnToMenu(message) {
+  canvas.classList.remove('playing');
+  if (game) {
+    game.stop();
+    game = null;
+  }
+  ui.hideDeath();
+  ui.hideRoomBadge();
+  ui.showMenu();
+  ui.showRoomError(message);
+}
+
+// Connection dropped and the player couldn't be reclaimed -> back to the menu
+network.onResumeFailed = () => {
+  returnToMenu('Connection lost');
+};
+
+// Kicked or banned by an admin
+network.onKicked = (data) => {
+  returnToMenu((data && data.reason) || 'Disconnected by the server');
+};
+
+// Private room settings / occupancy changed
+network.onRoomInfo = (room) => {
+  ui.showRoomBadge(room);
 };
 
 // Restart button -> respawn
@@ -315,6 +473,7 @@ ui.onMainMenu = () => {
   };
 
   // Show main menu
+  ui.hideRoomBadge();
   ui.showMenu();
 };
 
@@ -1,8 +1,45 @@
 // Socket.io client connection
 // Connects to server, sends input, receives authoritative game state
-// Client-side interpolation between server ticks for smooth rendering
+// Remote entities are rendered a fixed delay in the past, interpolated between buffered snapshots
+// gameState only covers entities near the local player; the minimap gets a coarse whole-map feed
+// clockPing/clockPong exchange measures RTT, packet loss and the server clock offset
+// After a dropped connection the socket reconnects and resumes the same player with its resume token
 
 import { NETWORK } from '/shared/constants.js';
+import { decodeSnapshot } from '/shared/codec.js';
+import { LocalPrediction } from './prediction.js';
+
+// Applied snapshots kept as delta baselines (server keeps 32, keep a little more)
+const SNAPSHOT_HISTORY = 40;
+
+// Snapshot interpolation
+const SNAPSHOT_BUFFER = 20;      // ~1 sec of timestamped snapshots at 20/sec
+const INTERP_DELAY = 100;        // Render remote entities this far (ms) behind the server
+const MAX_EXTRAPOLATION = 150;   // How far (ms) to keep moving entities when snapshots are late
+const TELEPORT_DISTANCE = 300;   // Bigger jumps (respawn) snap instead of sliding
+const CLOCK_DRIFT = 0.5;         // ms per snapshot the snapshot clock estimate may fall back
+const TWO_PI = Math.PI * 2;
+
+// Clock sync / latency
+const PING_INTERVAL = 2000;      // ms between clockPing messages
+const PING_TIMEOUT = 5000;       // A ping without a pong after this long counts as lost
+const PING_WINDOW = 20;          // Recent pings packet loss is computed over
+const CLOCK_SAMPLES = 8;         // Recent offset samples; the lowest-RTT one is trusted most
+const RTT_SMOOTHING = 0.2;
+
+// Matchmaking region tag from the browser's time zone (see MATCH_REGIONS in server/config.js)
+const REGION_BY_ZONE = { America: 'na', Europe: 'eu', Africa: 'eu', Asia: 'asia', Australia: 'oce', Pacific: 'oce' };
+const SOUTH_AMERICA = /^America\/(Argentina|Sao_Paulo|Santiago|Bogota|Lima|Caracas|Montevideo|Asuncion|La_Paz|Guayaquil)/;
+
+function guessRegion() {
+  try {
+    const zone = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+    if (SOUTH_AMERICA.test(zone)) return 'sa';
+    return REGION_BY_ZONE[zone.split('/')[0]] || undefined;
+  } catch {
+    return undefined;
+  }
+}
 
 export class Network {
   constructor() {
@@ -10,32 +47,65 @@ export class Network {
     this.connected = false;
     this.playerId = null;
 
+    // Room the player is in ({ roomId, visibility, code, locked, maxPlayers, isOwner })
+    this.room = null;
+
+    // Token from 'joined' that reclaims our player after a reconnect
+    this.resumeToken = null;
+
     // Game state from server
     this.players = [];
     this.mobs = [];
     this.projectiles = [];
     this.orbs = [];
 
-    // Previous state for interpolation
-    this.prevPlayers = [];
-    this.prevMobs = [];
-    this.prevOrbs = [];
-
-    // State timestamps for interpolation
-    this.lastStateTime = 0;
-    this.stateInterval = 1000 / NETWORK.CLIENT_SEND_RATE; // ~50ms
+    // Coarse whole-map positions for the minimap (gameState only covers the area around us)
+    this.minimapPlayers = [];
+    this.minimapMobs = [];
+
+    // Recent snapshots by server time for interpolation: { time, players, mobs, orbs } (Maps by id)
+    this.snapshotBuffer = [];
+    // Server time minus performance.now() as seen on snapshot arrival (includes one-way latency,
+    // which is what interpolation wants: it tracks the newest snapshot we can have)
+    this.snapshotClockOffset = null;
+
+    // Clock sync: smoothed round-trip time (ms), server clock minus performance.now(), loss ratio
+    this.rtt = null;
+    this.serverTimeOffset = null;
+    this.packetLoss = 0;
+    this.pingId = 0;
+    this.pendingPings = new Map(); // id -> performance.now() when sent
+    this.pingResults = [];         // recent pings: true = answered, false = lost
+    this.clockSamples = [];        // recent { rtt, offset }
+    this.pingTimer = null;
+
+    // Applied snapshots by sequence number (delta baselines) and the latest one
+    this.snapshotHistory = new Map();
+    this.snapshotSeq = 0;
+    this.resyncPending = false;
 
     // Input send rate limiter
     this.lastInputSend = 0;
     this.inputInterval = 1000 / NETWORK.CLIENT_SEND_RATE;
 
+    // Input sequence numbers + local player prediction/reconciliation
+    this.inputSeq = 0;
+    this.prediction = new LocalPrediction();
+
     // Event callbacks
     this.onJoined = null;
+    this.onJoinError = null;
+    this.onResumed = null;
+    this.onResumeFailed = null;
+    this.onKicked = null;
+    this.onRoomInfo = null;
     this.onGameState = null;
     this.onLevelUp = null;
     this.onDeath = null;
     this.onLeaderboard = null;
     this.onKillFeed = null;
+    this.onAchievement = null;
+    this.onMatchmaking = null;
     this.onPlayerCount = null;
     this.onDisconnect = null;
   }
@@ -46,52 +116,150 @@ export class Network {
     this.socket = io({
       transports: ['websocket'],
       upgrade: false,
+      auth: { wire: 'binary' }, // Ask for compact binary gameState (see shared/codec.js)
     });
 
     this.socket.on('connect', () => {
       this.connected = true;
       console.log('[Network] Connected to server');
+      this._startClockSync();
+
+      // Automatic reconnect after a drop: reclaim the player we had
+      if (this.resumeToken && this.playerId) {
+        this.socket.emit('resume', { token: this.resumeToken });
+      }
     });
 
     this.socket.on('disconnect', () => {
       this.connected = false;
       console.log('[Network] Disconnected from server');
+      this._stopClockSync();
       if (this.onDisconnect) this.onDisconnect();
     });
 
-    // Player joined confirmation
+    // Player joined (or resumed) confirmation
     this.socket.on('joined', (data) => {
       this.playerId = data.id;
-      console.log('[Network] Joined as', this.playerId);
+      this.resumeToken = data.resumeToken || null;
+      this.prediction.reset();
+      this.snapshotBuffer = [];
+      this.room = data.room ? { ...data.room, isOwner: !!data.isOwner } : null;
+
+      if (data.resumed) {
+        // Fresh connection: the server starts over with a full snapshot
+        this.snapshotHistory.clear();
+        this.snapshotSeq = 0;
+        this.resyncPending = false;
+        console.log('[Network] Resumed as', this.playerId, 'in', data.roomId);
+        if (this.onResumed) this.onResumed(data);
+        return;
+      }
+
+      console.log('[Network] Joined as', this.playerId, 'in', data.roomId);
       if (this.onJoined) this.onJoined(data);
     });
 
-    // Game state update (with delta compression)
-    this.socket.on('gameState', (state) => {
-      // Store previous state for interpolation
-      this.prevPlayers = this.players;
-      this.prevMobs = this.mobs;
-      this.prevOrbs = this.orbs;
-      this.lastStateTime = performance.now();
+    // Grace window ran out (or the server restarted): the old player is gone
+    this.socket.on('resumeFailed', (data) => {
+      console.log('[Network] Resume failed:', data && data.error);
+      this.resumeToken = null;
+      this.playerId = null;
+      this.room = null;
+      if (this.onResumeFailed) this.onResumeFailed(data);
+    });
+
+    // Matchmaking is holding the join until a fitting public room opens up
+    this.socket.on('matchmaking', (data) => {
+      if (this.onMatchmaking) this.onMatchmaking(data);
+    });
+
+    // Join refused (unknown code, locked or full private room)
+    this.socket.on('joinError', (data) => {
+      if (this.onJoinError) this.onJoinError(data);
+    });
+
+    // Private room settings changed (lock, cap, ownership)
+    this.socket.on('roomInfo', (data) => {
+      this.room = data;
+      if (this.onRoomInfo) this.onRoomInfo(data);
+    });
+
+    // Game state update (with delta compression, binary or JSON)
+    this.socket.on('gameState', (data) => {
+      // Binary snapshots arrive as ArrayBuffer, JSON ones as plain objects
+      const state = data instanceof ArrayBuffer ? decodeSnapshot(data) : data;
+
+      // Deltas apply to the snapshot the server says it diffed against
+      let base = null;
+      if (!state.full) {
+        base = state.bs !== undefined ? this.snapshotHistory.get(state.bs) : this._currentSnapshot();
+        if (!base) {
+          // Gap: we never saw (or already dropped) that baseline
+          this.requestResync();
+          return;
+        }
+      }
 
       if (state.full) {
         // Full snapshot - replace everything
         this.players = state.p || [];
         this.mobs = state.m || [];
         this.orbs = state.o || [];
+        this.resyncPending = false;
       } else {
-        // Delta update - merge changes
-        this.players = this._applyDelta(this.players, state.p || []);
-        this.mobs = this._applyDelta(this.mobs, state.m || []);
-        this.orbs = this._applyDelta(this.orbs, state.o || []);
+        // Delta update - merge changes into the baseline
+        this.players = this._applyDelta(base.players, state.p || []);
+        this.mobs = this._applyDelta(base.mobs, state.m || []);
+        this.orbs = this._applyDelta(base.orbs, state.o || []);
       }
 
       // Projectiles always sent in full (ephemeral each tick)
       this.projectiles = state.pr || [];
 
+      if (state.sq !== undefined) {
+        this._recordSnapshot(state.sq);
+      }
+      this._bufferSnapshot(state.t);
+
+      // Reconcile our predicted position with the authoritative one
+      if (state.in !== undefined) {
+        const local = this.getLocalPlayer();
+        if (local) this.prediction.reconcile(local, state.in);
+      }
+
       if (this.onGameState) this.onGameState(state);
     });
 
+    // Removed by an admin (or refused because of a ban)
+    this.socket.on('kicked', (data) => {
+      this.resumeToken = null;
+      this.playerId = null;
+      this.room = null;
+      if (this.onKicked) this.onKicked(data);
+    });
+
+    this.socket.on('connect_error', (err) => {
+      if (err && err.message === 'banned' && this.onKicked) {
+        this.onKicked({ reason: (err.data && err.data.reason) || 'You are banned from this server' });
+      }
+    });
+
+    // Server guard: we're sending too much (or malformed) traffic
+    this.socket.on('warning', (data) => {
+      console.warn('[Network] Server warning:', data && data.message);
+    });
+
+    // Clock sync reply
+    this.socket.on('clockPong', (data) => {
+      this._onClockPong(data);
+    });
+
+    // Low-rate minimap update
+    this.socket.on('minimap', (data) => {
+      this.minimapPlayers = data.p || [];
+      this.minimapMobs = data.m || [];
+    });
+
     // Level up options
     this.socket.on('levelUp', (data) => {
       if (this.onLevelUp) this.onLevelUp(data);
@@ -112,30 +280,63 @@ export class Network {
       if (this.onKillFeed) this.onKillFeed(data);
     });
 
+    // Achievement unlocked (logged-in players)
+    this.socket.on('achievement', (data) => {
+      if (this.onAchievement) this.onAchievement(data);
+    });
+
     // Player count
     this.socket.on('playerCount', (data) => {
       if (this.onPlayerCount) this.onPlayerCount(data);
     });
   }
 
-  /** Send join request */
-  join(name, skinData) {
+  /**
+   * Send join request.
+   * @param {object} [target] - { code } for a private room, { roomId } for a specific public room;
+   *   otherwise matchmaking picks one, optionally for { mode, partySize } (slots kept free for friends)
+   */
+  join(name, skinData, target = {}) {
+    if (this.socket) {
+      const data = { name, skin: skinData, region: guessRegion() };
+      if (target.code) data.code = target.code;
+      else if (target.roomId) data.roomId = target.roomId;
+      if (target.mode) data.mode = target.mode;
+      if (target.partySize) data.partySize = target.partySize;
+      this.socket.emit('join', data);
+    }
+  }
+
+  /** Create a private room and join it */
+  createRoom(name, skinData, settings = {}) {
+    if (this.socket) {
+      this.socket.emit('createRoom', { name, skin: skinData, maxPlayers: settings.maxPlayers });
+    }
+  }
+
+  /** Change private room settings (owner only: { locked, maxPlayers }) */
+  sendRoomSettings(settings) {
     if (this.socket) {
-      this.socket.emit('join', { name, skin: skinData });
+      this.socket.emit('roomSettings', settings);
     }
   }
 
-  /** Send input (angle + moving state), rate-limited */
+  /** Send input (angle + moving state + sequence number), rate-limited */
   sendInput(angle, moving) {
     const now = performance.now();
     if (now - this.lastInputSend < this.inputInterval) return;
     this.lastInputSend = now;
 
     if (this.socket && this.connected) {
+      const seq = ++this.inputSeq;
+      const rounded = Math.round(angle * 100) / 100;
       this.socket.emit('input', {
-        angle: Math.round(angle * 100) / 100,
+        seq,
+        angle: rounded,
         moving,
       });
+      // Predict with exactly what the server will see
+      this.prediction.addInput(seq, rounded, moving);
     }
   }
 
@@ -153,42 +354,222 @@ export class Network {
     }
   }
 
+  /** Ask the server for a full snapshot (our delta baseline is gone); sent once until one arrives */
+  requestResync() {
+    if (this.resyncPending || !this.socket || !this.connected) return;
+    this.resyncPending = true;
+    this.socket.emit('resync');
+  }
+
   /** Get the local player data from the latest state */
   getLocalPlayer() {
     if (!this.playerId) return null;
     return this.players.find(p => p.i === this.playerId) || null;
   }
 
-  /**
-   * Interpolate between previous and current state.
-   * Returns interpolation factor (0 = prev state, 1 = current state).
-   */
-  getInterpolationFactor() {
-    if (this.lastStateTime === 0) return 1;
-    const elapsed = performance.now() - this.lastStateTime;
-    return Math.min(elapsed / this.stateInterval, 1);
+  /** Estimated current server time (ms since epoch), from clock sync once it has a sample */
+  getServerTime() {
+    if (this.serverTimeOffset !== null) return performance.now() + this.serverTimeOffset;
+    return this._snapshotClock();
+  }
+
+  /** Latency stats for the HUD: { ping } in ms (null until measured), { loss } in percent */
+  getNetStats() {
+    return {
+      ping: this.rtt === null ? null : Math.round(this.rtt),
+      loss: Math.round(this.packetLoss * 100),
+    };
+  }
+
+  /** Server time of the newest snapshot we could have received by now */
+  _snapshotClock() {
+    return performance.now() + (this.snapshotClockOffset || 0);
   }
 
   /**
-   * Get interpolated position for an entity.
-   * Finds entity in previous state and lerps toward current position.
+   * Get the position and angle to render an entity at.
+   * Samples the snapshot buffer at (server time - INTERP_DELAY), interpolating between the
+   * two snapshots around it, or extrapolating briefly past the newest one when packets are late.
+   * @param {object} current - entity from the latest state (fallback when it isn't buffered)
+   * @param {'players'|'mobs'|'orbs'} kind - which entity list it belongs to
+   * @returns {{ x: number, y: number, a: number }}
    */
-  interpolateEntity(current, prevList) {
-    const t = this.getInterpolationFactor();
-    if (t >= 1) return { x: current.x, y: current.y };
+  interpolateEntity(current, kind) {
+    const fallback = { x: current.x, y: current.y, a: current.a || 0 };
+    const buf = this.snapshotBuffer;
+    if (buf.length === 0) return fallback;
+
+    const renderTime = this._snapshotClock() - INTERP_DELAY;
+    const newest = buf[buf.length - 1];
+
+    // Late: keep moving along the last known velocity for a short while
+    if (renderTime >= newest.time) {
+      const to = newest[kind].get(current.i);
+      if (!to) return fallback;
+      const from = buf.length > 1 ? buf[buf.length - 2][kind].get(current.i) : null;
+      if (!from) return { x: to.x, y: to.y, a: to.a || 0 };
+
+      const span = newest.time - buf[buf.length - 2].time;
+      const ahead = Math.min(renderTime - newest.time, MAX_EXTRAPOLATION);
+      return this._blend(from, to, span > 0 ? 1 + ahead / span : 1);
+    }
+
+    // Too far back: hold the oldest known state
+    if (renderTime <= buf[0].time) {
+      const oldest = buf[0][kind].get(current.i);
+      return oldest ? { x: oldest.x, y: oldest.y, a: oldest.a || 0 } : fallback;
+    }
+
+    // Find the pair of snapshots around renderTime
+    let i = buf.length - 1;
+    while (i > 1 && buf[i - 1].time > renderTime) i--;
+    const older = buf[i - 1];
+    const newer = buf[i];
+    const from = older[kind].get(current.i);
+    const to = newer[kind].get(current.i);
+    if (!from || !to) {
+      const only = to || from;
+      return only ? { x: only.x, y: only.y, a: only.a || 0 } : fallback;
+    }
+
+    return this._blend(from, to, (renderTime - older.time) / (newer.time - older.time));
+  }
+
+  /** Lerp position (t > 1 extrapolates) and angle along the shortest arc */
+  _blend(from, to, t) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    if (dx * dx + dy * dy > TELEPORT_DISTANCE * TELEPORT_DISTANCE) {
+      return { x: to.x, y: to.y, a: to.a || 0 };
+    }
 
-    const prev = prevList.find(p => p.i === current.i);
-    if (!prev) return { x: current.x, y: current.y };
+    const a0 = from.a || 0;
+    let da = ((to.a || 0) - a0) % TWO_PI;
+    if (da > Math.PI) da -= TWO_PI;
+    else if (da < -Math.PI) da += TWO_PI;
 
     return {
-      x: prev.x + (current.x - prev.x) * t,
-      y: prev.y + (current.y - prev.y) * t,
+      x: from.x + dx * t,
+      y: from.y + dy * t,
+      a: a0 + da * Math.min(t, 1),
     };
   }
 
+  /** Add the just-applied state to the interpolation buffer, keyed by server time */
+  _bufferSnapshot(serverTime) {
+    const now = performance.now();
+    let time = serverTime;
+    if (time) {
+      // The fastest-arriving snapshot gives the tightest bound on the clock offset;
+      // let the estimate drift back slowly so a one-off early packet doesn't stick forever
+      const sample = time - now;
+      this.snapshotClockOffset = this.snapshotClockOffset === null
+        ? sample
+        : Math.max(sample, this.snapshotClockOffset - CLOCK_DRIFT);
+    } else {
+      time = this._snapshotClock(); // Snapshots from older servers: stamp on arrival
+    }
+
+    const index = (list) => {
+      const map = new Map();
+      for (const e of list) map.set(e.i, e);
+      return map;
+    };
+
+    this.snapshotBuffer.push({
+      time,
+      players: index(this.players),
+      mobs: index(this.mobs),
+      orbs: index(this.orbs),
+    });
+    if (this.snapshotBuffer.length > SNAPSHOT_BUFFER) this.snapshotBuffer.shift();
+  }
+
+  _startClockSync() {
+    this._stopClockSync();
+    this._sendPing();
+    this.pingTimer = setInterval(() => this._sendPing(), PING_INTERVAL);
+  }
+
+  _stopClockSync() {
+    if (this.pingTimer) clearInterval(this.pingTimer);
+    this.pingTimer = null;
+    this.pendingPings.clear();
+  }
+
+  /** Send a timestamped ping (volatile, so a congested connection really drops it) */
+  _sendPing() {
+    if (!this.socket || !this.connected) return;
+    const now = performance.now();
+
+    // Anything unanswered for too long is lost
+    for (const [id, sentAt] of this.pendingPings) {
+      if (now - sentAt > PING_TIMEOUT) {
+        this.pendingPings.delete(id);
+        this._recordPingResult(false);
+      }
+    }
+
+    const id = ++this.pingId;
+    this.pendingPings.set(id, now);
+    this.socket.volatile.emit('clockPing', {
+      id,
+      t: now,
+      rtt: this.rtt === null ? undefined : Math.round(this.rtt),
+    });
+  }
+
+  /** Pong arrived: update RTT and estimate the server clock offset (NTP-style) */
+  _onClockPong(data) {
+    if (!data) return;
+    const sentAt = this.pendingPings.get(data.id);
+    if (sentAt === undefined) return; // Already counted as lost
+    this.pendingPings.delete(data.id);
+    this._recordPingResult(true);
+
+    const now = performance.now();
+    const rtt = now - sentAt;
+    this.rtt = this.rtt === null ? rtt : this.rtt + (rtt - this.rtt) * RTT_SMOOTHING;
+
+    // Assume the reply took half the round trip; the fastest exchange has the least asymmetry
+    this.clockSamples.push({ rtt, offset: data.st + rtt / 2 - now });
+    if (this.clockSamples.length > CLOCK_SAMPLES) this.clockSamples.shift();
+    let best = this.clockSamples[0];
+    for (const s of this.clockSamples) {
+      if (s.rtt < best.rtt) best = s;
+    }
+    this.serverTimeOffset = best.offset;
+  }
+
+  _recordPingResult(answered) {
+    this.pingResults.push(answered);
+    if (this.pingResults.length > PING_WINDOW) this.pingResults.shift();
+    const lost = this.pingResults.filter(ok => !ok).length;
+    this.packetLoss = lost / this.pingResults.length;
+  }
+
+  /** The latest applied state (baseline for deltas that don't name one) */
+  _currentSnapshot() {
+    return { players: this.players, mobs: this.mobs, orbs: this.orbs };
+  }
+
+  /** Keep the state just applied as snapshot `sq` and acknowledge it so the server deltas against it */
+  _recordSnapshot(sq) {
+    this.snapshotHistory.set(sq, this._currentSnapshot());
+    // Sequence numbers can skip (dropped deltas), so cap by count: Maps iterate oldest first
+    while (this.snapshotHistory.size > SNAPSHOT_HISTORY) {
+      this.snapshotHistory.delete(this.snapshotHistory.keys().next().value);
+    }
+    if (sq > this.snapshotSeq) this.snapshotSeq = sq;
+    if (this.socket && this.connected) {
+      this.socket.emit('ack', { sq });
+    }
+  }
+
   /**
    * Apply delta updates to existing entity list.
-   * Entities with `rm: true` are removed; others are updated or added.
+   * Entities with `rm: true` are removed; partial updates are merged into a copy
+   * of the existing entity (baselines stay untouched), unknown ids are added.
    */
   _applyDelta(existing, updates) {
     if (!updates || updates.length === 0) return existing;
@@ -202,20 +583,39 @@ export class Network {
       if (u.rm) {
         map.delete(u.i);
       } else {
-        map.set(u.i, u);
+        const prev = map.get(u.i);
+        map.set(u.i, prev ? { ...prev, ...u } : u);
       }
     }
 
     return Array.from(map.values());
   }
 
+  /**
+   * Drop and re-establish the connection so the server sees the current session cookie
+   * (after login/logout). A player in a game is resumed with its token, keeping the run.
+   */
+  refreshSession() {
+    if (!this.socket || !this.connected) return;
+    // Closing the transport (not socket.disconnect()) makes socket.io reconnect on its own
+    this.socket.io.engine.close();
+  }
+
   /** Disconnect from server */
   disconnect() {
     if (this.socket) {
       this.socket.disconnect();
       this.socket = null;
     }
+    this._stopClockSync();
     this.connected = false;
     this.playerId = null;
+    this.resumeToken = null;
+    this.room = null;
+    this.snapshotHistory.clear();
+    this.snapshotSeq = 0;
+    this.resyncPending = false;
+    this.snapshotBuffer = [];
+    this.prediction.reset();
   }
 }
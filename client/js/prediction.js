@@ -0,0 +1,116 @@
+// Client-side prediction for the local player
+// Moves the local player immediately from our own input using the server's movement formula,
+// then reconciles with each authoritative position by replaying inputs the server hasn't processed yet
+
+import { MAP, NETWORK, PLAYER, MOVEMENT } from '/shared/constants.js';
+
+const MAX_PENDING = 120;       // ~6 sec of inputs at 20/sec
+const SNAP_DISTANCE = 150;     // Bigger corrections (respawn, long stall) snap instead of smoothing
+const CORRECTION_DECAY = 12;   // How fast small corrections are blended out (per second)
+
+export class LocalPrediction {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.ready = false;
+    this.alive = false;
+    this.x = MAP.WIDTH / 2;
+    this.y = MAP.HEIGHT / 2;
+    this.speed = PLAYER.BASE_SPEED;
+    this.radius = PLAYER.RADIUS;
+
+    // Last input sent (the server keeps applying it until the next one)
+    this.current = null;
+    // Sent inputs the server hasn't acknowledged yet: { seq, angle, moving, duration }
+    this.pending = [];
+
+    // Visual offset left over from corrections, decays to zero
+    this.offsetX = 0;
+    this.offsetY = 0;
+  }
+
+  /** Record an input that was just sent to the server */
+  addInput(seq, angle, moving) {
+    this.current = { seq, angle, moving, duration: 0 };
+    this.pending.push(this.current);
+    if (this.pending.length > MAX_PENDING) this.pending.shift();
+  }
+
+  /** Advance the predicted position by dt seconds using the latest sent input */
+  update(dt) {
+    if (!this.ready) return;
+
+    if (this.current && this.alive) {
+      this.current.duration += dt;
+      this._move(this.current, dt);
+    }
+
+    const decay = Math.max(0, 1 - CORRECTION_DECAY * dt);
+    this.offsetX *= decay;
+    this.offsetY *= decay;
+  }
+
+  /**
+   * Authoritative state arrived.
+   * @param {object} player - serialized local player from the snapshot
+   * @param {number} ackSeq - last input sequence the server processed
+   */
+  reconcile(player, ackSeq) {
+    const before = this.getPosition();
+
+    this.speed = MOVEMENT.speedFormula(player.l || 1, player.sp || 0);
+    this.radius = player.r || MOVEMENT.radiusFormula(player.l || 1);
+    this.alive = !!player.al;
+
+    // Drop everything the server has already applied
+    while (this.pending.length > 0 && this.pending[0].seq <= ackSeq) {
+      this.pending.shift();
+    }
+
+    // Rewind to the server position and replay what it hasn't seen yet
+    this.x = player.x;
+    this.y = player.y;
+    if (this.alive) {
+      for (const input of this.pending) {
+        this._move(input, input.duration);
+      }
+    }
+
+    if (!this.ready) {
+      this.ready = true;
+      this.offsetX = 0;
+      this.offsetY = 0;
+      return;
+    }
+
+    // Smooth small corrections, snap large ones
+    const dx = before.x - this.x;
+    const dy = before.y - this.y;
+    if (dx * dx + dy * dy > SNAP_DISTANCE * SNAP_DISTANCE) {
+      this.offsetX = 0;
+      this.offsetY = 0;
+    } else {
+      this.offsetX = dx;
+      this.offsetY = dy;
+    }
+  }
+
+  /** Predicted position to render the local player and camera at */
+  getPosition() {
+    return { x: this.x + this.offsetX, y: this.y + this.offsetY };
+  }
+
+  /** Same movement as ServerPlayer.update, scaled from per-tick to dt seconds */
+  _move(input, dt) {
+    if (!input.moving) return;
+    const step = this.speed * dt * NETWORK.SERVER_TICK_RATE;
+    this.x += Math.cos(input.angle) * step;
+    this.y += Math.sin(input.angle) * step;
+
+    // Clamp to map bounds
+    this.x = Math.max(this.radius, Math.min(MAP.WIDTH - this.radius, this.x));
+    this.y = Math.max(this.radius, Math.min(MAP.HEIGHT - this.radius, this.y));
+  }
+}
@@ -122,20 +122,22 @@ export class Renderer {
   }
 
   /** Draw all players from server state */
-  drawPlayers(players, prevPlayers, network, camera, localPlayerId, skinManager) {
+  drawPlayers(players, network, camera, localPlayerId, skinManager) {
     const ctx = this.ctx;
 
     for (const p of players) {
       if (!p.al) continue; // Not alive
 
-      // Interpolate position
-      const pos = network.interpolateEntity(p, prevPlayers);
+      // Interpolate position (local player uses the predicted one)
+      const isLocal = p.i === localPlayerId;
+      const pos = isLocal && network.prediction.ready
+        ? { ...network.prediction.getPosition(), a: p.a || 0 }
+        : network.interpolateEntity(p, 'players');
       if (!camera.isVisible(pos.x, pos.y, 100)) continue;
 
       const { x: sx, y: sy } = camera.worldToScreen(pos.x, pos.y);
-      const isLocal = p.i === localPlayerId;
       const radius = p.r || 20;
-      const angle = p.a || 0;
+      const angle = pos.a;
 
       // Immunity glow
       if (p.im) {
@@ -207,19 +209,19 @@ export class Renderer {
   }
 
   /** Draw all mobs from server state */
-  drawMobs(mobs, prevMobs, network, camera) {
+  drawMobs(mobs, network, camera) {
     const ctx = this.ctx;
 
     for (const m of mobs) {
       // Interpolate position
-      const pos = network.interpolateEntity(m, prevMobs);
+      const pos = network.interpolateEntity(m, 'mobs');
       const size = m.s || 15;
       if (!camera.isVisible(pos.x, pos.y, size + 20)) continue;
 
       const { x: sx, y: sy } = camera.worldToScreen(pos.x, pos.y);
       const sides = MOB_SIDES[m.t] || 3;
       const color = MOB_COLORS[m.t] || '#2ecc71';
-      const angle = m.a || 0;
+      const angle = pos.a;
 
       // Damage flash (show red if hp < maxHp recently)
       const fillColor = color;
@@ -565,11 +567,11 @@ export class Renderer {
   }
 
   /** Draw XP orbs from server state */
-  drawOrbs(orbs, prevOrbs, network, camera) {
+  drawOrbs(orbs, network, camera) {
     const ctx = this.ctx;
 
     for (const orb of orbs) {
-      const pos = network.interpolateEntity(orb, prevOrbs);
+      const pos = network.interpolateEntity(orb, 'orbs');
       const radius = orb.r || 5;
       if (!camera.isVisible(pos.x, pos.y, radius + 5)) continue;
 
@@ -591,7 +593,11 @@ export class Renderer {
 
   // ========== HUD ==========
 
-  drawHUD(player) {
+  /**
+   * @param {object} player - local player stats
+   * @param {object} [net] - { ping, loss } from Network.getNetStats()
+   */
+  drawHUD(player, net = null) {
     const ctx = this.ctx;
     const cw = this.canvas.width;
     const ch = this.canvas.height;
@@ -653,7 +659,11 @@ export class Renderer {
     ctx.fillStyle = 'rgba(255,255,255,0.25)';
     ctx.font = '10px monospace';
     ctx.textAlign = 'right';
-    ctx.fillText(`${this.fps} FPS`, cw - 10, 16);
+    let stats = `${this.fps} FPS`;
+    if (net && net.ping !== null) {
+      stats = `${net.ping} ms  ${net.loss}% loss  ${stats}`;
+    }
+    ctx.fillText(stats, cw - 10, 16);
   }
 
   // ========== LEADERBOARD ==========
@@ -693,7 +703,11 @@ export class Renderer {
 
       ctx.fillStyle = isLocal ? '#00d4ff' : 'rgba(255, 255, 255, 0.5)';
       ctx.textAlign = 'left';
-      ctx.fillText(`${i + 1}. ${entry.name}`, x + padding, ey);
+      const label = `${i + 1}. ${entry.name}`;
+      ctx.fillText(label, x + padding, ey);
+      if (entry.verified) {
+        this._drawVerifiedBadge(ctx, x + padding + ctx.measureText(label).width + 4, ey);
+      }
 
       ctx.textAlign = 'right';
       ctx.fillText(`Lv.${entry.level}`, x + width - padding, ey);
@@ -722,9 +736,12 @@ export class Renderer {
       // Killer name
       ctx.fillStyle = '#e74c3c';
       ctx.fillText(entry.killer, x, y);
+      let killerWidth = ctx.measureText(entry.killer).width;
+      if (entry.killerVerified) {
+        killerWidth += this._drawVerifiedBadge(ctx, x + killerWidth + 3, y) + 3;
+      }
 
       // Arrow
-      const killerWidth = ctx.measureText(entry.killer).width;
       ctx.fillStyle = 'rgba(255,255,255,0.4)';
       ctx.fillText(' > ', x + killerWidth, y);
 
@@ -732,6 +749,10 @@ export class Renderer {
       const arrowWidth = ctx.measureText(' > ').width;
       ctx.fillStyle = '#ffffff';
       ctx.fillText(entry.victim, x + killerWidth + arrowWidth, y);
+      if (entry.victimVerified) {
+        const victimWidth = ctx.measureText(entry.victim).width;
+        this._drawVerifiedBadge(ctx, x + killerWidth + arrowWidth + victimWidth + 3, y);
+      }
 
       ctx.globalAlpha = 1;
     }
@@ -783,9 +804,10 @@ export class Renderer {
     // Other players as colored dots
     for (const p of players) {
       if (!p.al) continue;
-      const px = x + p.x * scale;
-      const py = y + p.y * scale;
       const isLocal = p.i === localPlayerId;
+      // Local dot follows the live position (minimap feed is coarse and low-rate)
+      const px = x + (isLocal ? playerX : p.x) * scale;
+      const py = y + (isLocal ? playerY : p.y) * scale;
 
       ctx.beginPath();
       ctx.arc(px, py, isLocal ? 3 : 2, 0, Math.PI * 2);
@@ -843,6 +865,18 @@ export class Renderer {
 
   // ========== UTILITY ==========
 
+  /** Check mark after a registered display name (left-aligned at x, text baseline y), returns its width */
+  _drawVerifiedBadge(ctx, x, y) {
+    ctx.save();
+    ctx.font = 'bold 11px Space Grotesk, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#2ecc71';
+    ctx.fillText('\u2713', x, y);
+    const width = ctx.measureText('\u2713').width;
+    ctx.restore();
+    return width;
+  }
+
   /** Convert a player color (hex) to weapon tint colors for their projectiles */
   _playerColorToWeaponColors(hexColor) {
     // Parse hex to RGB
@@ -24,9 +24,16 @@ export class UI {
   constructor() {
     this.mainMenu = document.getElementById('main-menu');
     this.nameInput = document.getElementById('name-input');
+    this.nameError = document.getElementById('name-error');
     this.btnPlay = document.getElementById('btn-play');
     this.onlineCount = document.getElementById('online-count');
 
+    this.roomCodeInput = document.getElementById('room-code-input');
+    this.roomCapSelect = document.getElementById('room-cap');
+    this.roomError = document.getElementById('room-error');
+    this.roomBadge = document.getElementById('room-badge');
+    this.roomBrowserList = document.getElementById('room-browser-list');
+
     this.levelupOverlay = document.getElementById('levelup-overlay');
     this.levelupCards = document.getElementById('levelup-cards');
 
@@ -44,6 +51,20 @@ export class UI {
     this.onRestart = null;
     this.onMainMenu = null;
     this.onShop = null;
+    this.onJoinRoom = null;
+    this.onCreateRoom = null;
+    this.onRoomLockToggle = null;
+
+    // Current private room shown in the badge
+    this.room = null;
+
+    // Room browser: null = let the server pick the best public room
+    this.selectedRoomId = null;
+    this.roomBrowserTimer = null;
+
+    // Leaderboard tabs last shown (metric and period, see /api/leaderboard)
+    this.leaderboardMetric = 'score';
+    this.leaderboardPeriod = 'all';
 
     this._initEvents();
     this._initParticles();
@@ -53,15 +74,74 @@ export class UI {
   _initEvents() {
     this.btnPlay.addEventListener('click', () => {
       const name = this.nameInput.value.trim() || 'Player';
-      if (this.onPlay) this.onPlay(name);
+      if (this.onPlay) this.onPlay(name, this.selectedRoomId);
     });
 
+    const btnRefreshRooms = document.getElementById('room-browser-refresh');
+    if (btnRefreshRooms) {
+      btnRefreshRooms.addEventListener('click', () => this._fetchRooms());
+    }
+
+    this.nameInput.addEventListener('input', () => this.showNameError(''));
     this.nameInput.addEventListener('keydown', (e) => {
       if (e.key === 'Enter') {
         this.btnPlay.click();
       }
     });
 
+    // Private rooms: join by code / create
+    const btnJoinRoom = document.getElementById('btn-join-room');
+    if (btnJoinRoom) {
+      btnJoinRoom.addEventListener('click', () => {
+        const code = this.roomCodeInput.value.trim().toUpperCase();
+        if (!code) {
+          this.showRoomError('Enter a room code');
+          return;
+        }
+        this.showRoomError('');
+        const name = this.nameInput.value.trim() || 'Player';
+        if (this.onJoinRoom) this.onJoinRoom(name, code);
+      });
+      this.roomCodeInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') btnJoinRoom.click();
+      });
+    }
+
+    const btnCreateRoom = document.getElementById('btn-create-room');
+    if (btnCreateRoom) {
+      btnCreateRoom.addEventListener('click', () => {
+        this.showRoomError('');
+        const name = this.nameInput.value.trim() || 'Player';
+        const maxPlayers = parseInt(this.roomCapSelect.value) || undefined;
+        if (this.onCreateRoom) this.onCreateRoom(name, { maxPlayers });
+      });
+    }
+
+    // Invite link from URL (?room=CODE) pre-fills the code field
+    const urlCode = new URLSearchParams(window.location.search).get('room');
+    if (urlCode && this.roomCodeInput) {
+      this.roomCodeInput.value = urlCode.trim().toUpperCase().substring(0, 6);
+    }
+
+    // Room badge: copy invite link, owner lock toggle
+    const btnCopy = document.getElementById('room-badge-copy');
+    if (btnCopy) {
+      btnCopy.addEventListener('click', () => {
+        if (!this.room || !this.room.code) return;
+        navigator.clipboard.writeText(this.getInviteLink(this.room.code)).then(() => {
+          btnCopy.textContent = 'COPIED!';
+          setTimeout(() => { btnCopy.textContent = 'COPY LINK'; }, 2000);
+        }).catch(() => {});
+      });
+    }
+    const btnLock = document.getElementById('room-badge-lock');
+    if (btnLock) {
+      btnLock.addEventListener('click', () => {
+        if (!this.room || !this.room.isOwner) return;
+        if (this.onRoomLockToggle) this.onRoomLockToggle(!this.room.locked);
+      });
+    }
+
     this.btnRestart.addEventListener('click', () => {
       if (this.onRestart) this.onRestart();
     });
@@ -89,6 +169,13 @@ export class UI {
         lbOverlay.classList.add('active');
         this._fetchLeaderboard();
       });
+      lbOverlay.querySelectorAll('.lb-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+          if (tab.dataset.metric) this.leaderboardMetric = tab.dataset.metric;
+          if (tab.dataset.period) this.leaderboardPeriod = tab.dataset.period;
+          this._fetchLeaderboard();
+        });
+      });
       const lbClose = document.getElementById('leaderboard-close');
       if (lbClose) {
         lbClose.addEventListener('click', () => {
@@ -111,6 +198,37 @@ export class UI {
       }
     }
 
+    // Run details (death screen link and match history rows)
+    this.btnRunDetails = document.getElementById('btn-run-details');
+    if (this.btnRunDetails) {
+      this.btnRunDetails.addEventListener('click', () => {
+        if (this.lastRunId) this.showRun(this.lastRunId);
+      });
+    }
+    const runClose = document.getElementById('run-close');
+    if (runClose) {
+      runClose.addEventListener('click', () => {
+        document.getElementById('run-overlay').classList.remove('active');
+      });
+    }
+
+    // Career stats button
+    const btnStats = document.getElementById('btn-stats');
+    const statsOverlay = document.getElementById('stats-overlay');
+    if (btnStats && statsOverlay) {
+      btnStats.addEventListener('click', () => {
+        statsOverlay.classList.add('active');
+        this._fetchStats();
+        this._fetchRuns(null);
+      });
+      const statsClose = document.getElementById('stats-close');
+      if (statsClose) {
+        statsClose.addEventListener('click', () => {
+          statsOverlay.classList.remove('active');
+        });
+      }
+    }
+
     // Share button on death screen
     const btnShare = document.querySelector('.btn-share');
     if (btnShare) {
@@ -201,10 +319,117 @@ export class UI {
     this.levelupOverlay.classList.remove('active');
     this.deathScreen.classList.remove('active');
     this._animateParticles();
+
+    // Keep the room browser fresh while the menu is open
+    this._fetchRooms();
+    if (!this.roomBrowserTimer) {
+      this.roomBrowserTimer = setInterval(() => this._fetchRooms(), 5000);
+    }
   }
 
   hideMenu() {
     this.mainMenu.style.display = 'none';
+    if (this.roomBrowserTimer) {
+      clearInterval(this.roomBrowserTimer);
+      this.roomBrowserTimer = null;
+    }
+  }
+
+  // --- Room Browser ---
+  async _fetchRooms() {
+    if (!this.roomBrowserList) return;
+
+    try {
+      const res = await fetch('/api/rooms');
+      const data = await res.json();
+      this._renderRooms(data.rooms || []);
+    } catch {
+      this.roomBrowserList.innerHTML = '<div class="room-entry full">Could not load rooms</div>';
+    }
+  }
+
+  _renderRooms(rooms) {
+    // Drop the selection if that room has gone away
+    if (this.selectedRoomId && !rooms.some(r => r.id === this.selectedRoomId)) {
+      this.selectedRoomId = null;
+    }
+
+    const entries = [`<div class="room-entry${this.selectedRoomId ? '' : ' selected'}" data-room="">
+      <span>AUTO</span><span class="room-entry-meta">best room</span>
+    </div>`];
+
+    for (const r of rooms) {
+      const full = r.locked || r.players >= r.maxPlayers;
+      const mins = Math.floor(r.age / 60000);
+      const classes = ['room-entry'];
+      if (r.id === this.selectedRoomId) classes.push('selected');
+      if (full) classes.push('full');
+      entries.push(`<div class="${classes.join(' ')}" data-room="${r.id}">
+        <span>${r.mode.toUpperCase()} · ${r.players}/${r.maxPlayers}${r.bots ? ` +${r.bots} bots` : ''}</span>
+        <span class="room-entry-meta">${mins}m · top ${r.topScore.toLocaleString()}</span>
+      </div>`);
+    }
+
+    this.roomBrowserList.innerHTML = entries.join('');
+    this.roomBrowserList.querySelectorAll('.room-entry').forEach(el => {
+      el.addEventListener('click', () => {
+        if (el.classList.contains('full')) return;
+        this.selectedRoomId = el.dataset.room || null;
+        this.roomBrowserList.querySelectorAll('.room-entry').forEach(e => e.classList.remove('selected'));
+        el.classList.add('selected');
+      });
+    });
+  }
+
+  // --- Private Rooms ---
+  showRoomError(message) {
+    if (this.roomError) this.roomError.textContent = message;
+  }
+
+  /** Logged-in players always play under their display name: show it in the (locked) name field */
+  setAccountName(displayName) {
+    if (displayName) {
+      if (!this.nameInput.disabled) this.guestName = this.nameInput.value;
+      this.nameInput.value = displayName;
+      this.nameInput.disabled = true;
+      this.nameInput.title = 'Your display name (change it in your profile)';
+    } else if (this.nameInput.disabled) {
+      this.nameInput.value = this.guestName || '';
+      this.nameInput.disabled = false;
+      this.nameInput.title = '';
+    }
+    this.showNameError('');
+  }
+
+  /** Show why the server refused the typed name (empty string clears it) */
+  showNameError(message) {
+    if (this.nameError) this.nameError.textContent = message;
+    if (message) this.nameInput.focus();
+  }
+
+  getInviteLink(code) {
+    return `${window.location.origin}${window.location.pathname}?room=${encodeURIComponent(code)}`;
+  }
+
+  /** Show the in-game room badge for private rooms (hidden for public ones) */
+  showRoomBadge(room) {
+    this.room = room;
+    if (!this.roomBadge) return;
+    if (!room || room.visibility !== 'private') {
+      this.hideRoomBadge();
+      return;
+    }
+
+    document.getElementById('room-badge-code').textContent = room.code;
+    document.getElementById('room-badge-count').textContent = `${room.playerCount}/${room.maxPlayers}`;
+    const btnLock = document.getElementById('room-badge-lock');
+    btnLock.style.display = room.isOwner ? '' : 'none';
+    btnLock.textContent = room.locked ? 'UNLOCK' : 'LOCK';
+    this.roomBadge.classList.add('active');
+  }
+
+  hideRoomBadge() {
+    if (this.roomBadge) this.roomBadge.classList.remove('active');
   }
 
   // --- Level Up ---
@@ -276,6 +501,10 @@ export class UI {
       ? `Killed by: ${stats.killer}`
       : 'Killed by a mob';
 
+    // Runs are only recorded for logged-in players
+    this.lastRunId = stats.runId || null;
+    if (this.btnRunDetails) this.btnRunDetails.style.display = this.lastRunId ? '' : 'none';
+
     this.deathStats.innerHTML = `
       <div class="stat-item">
         <div class="stat-icon">⏱</div>
@@ -312,31 +541,282 @@ export class UI {
     this.deathScreen.classList.remove('active');
   }
 
+  /** Achievement toast (stacks when several unlock together) */
+  showAchievement(achievement) {
+    if (!this.toastContainer) {
+      this.toastContainer = document.createElement('div');
+      this.toastContainer.className = 'toast-container';
+      document.body.appendChild(this.toastContainer);
+    }
+
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.innerHTML = '<div class="toast-icon">🏆</div><div class="toast-text"><div class="toast-title"></div><div class="toast-desc"></div></div>';
+    toast.querySelector('.toast-title').textContent = `Achievement: ${achievement.name}`;
+    toast.querySelector('.toast-desc').textContent = achievement.description;
+    this.toastContainer.appendChild(toast);
+
+    requestAnimationFrame(() => toast.classList.add('visible'));
+    setTimeout(() => {
+      toast.classList.remove('visible');
+      setTimeout(() => toast.remove(), 400);
+    }, 4000);
+  }
+
+  // --- Matchmaking ---
+  /** Show the "finding a match" notice while the server holds the join (waited in ms) */
+  showMatchmaking(waited) {
+    const el = document.getElementById('matchmaking-status');
+    if (!el) return;
+    const secs = Math.floor(waited / 1000);
+    el.textContent = secs > 0 ? `Finding a match… ${secs}s` : 'Finding a match…';
+    el.classList.add('active');
+  }
+
+  hideMatchmaking() {
+    const el = document.getElementById('matchmaking-status');
+    if (el) el.classList.remove('active');
+  }
+
   // --- Leaderboard ---
   async _fetchLeaderboard() {
     const list = document.getElementById('leaderboard-list');
     if (!list) return;
 
+    const metric = this.leaderboardMetric;
+    const period = this.leaderboardPeriod;
+    document.querySelectorAll('.lb-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.metric ? tab.dataset.metric === metric : tab.dataset.period === period);
+    });
+    const windowLabel = document.getElementById('leaderboard-window');
+    if (windowLabel) windowLabel.textContent = '';
+    list.innerHTML = '<p style="text-align:center; color:#888;">Loading...</p>';
+
     try {
-      const res = await fetch('/api/leaderboard');
+      const query = `metric=${metric}&period=${period}`;
+      const [res, meRes] = await Promise.all([
+        fetch(`/api/leaderboard?${query}`),
+        fetch(`/api/leaderboard/me?${query}`),
+      ]);
       const data = await res.json();
+      const mine = meRes.ok ? await meRes.json() : { rank: null }; // 401 for guests
+      if (metric !== this.leaderboardMetric || period !== this.leaderboardPeriod) return; // another tab was picked meanwhile
       const entries = data.top || [];
 
+      if (windowLabel && data.endsAt) {
+        const name = period === 'season' ? `Season ${data.window}` : period === 'weekly' ? 'This week' : 'Today';
+        windowLabel.textContent = `${name} · resets in ${this._formatTimeLeft(data.endsAt - Date.now())}`;
+      }
+
       if (entries.length === 0) {
         list.innerHTML = '<p style="text-align:center; color:#888;">No scores yet. Play to be the first!</p>';
         return;
       }
 
-      list.innerHTML = entries.map((e, i) => {
-        const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `${i + 1}.`;
-        return `<div class="lb-entry">
+      const esc = (text) => String(text).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+      const format = {
+        score: v => `${v.toLocaleString()} XP`,
+        kills: v => `${v} ${v === 1 ? 'kill' : 'kills'}`,
+        mobKills: v => `${v.toLocaleString()} ${v === 1 ? 'mob' : 'mobs'}`,
+        survival: v => this._formatDuration(v),
+        level: v => `Lv.${v}`,
+        firstEvolution: v => this._formatDuration(v),
+      }[metric];
+      const row = (e, rank) => {
+        const medal = rank === 1 ? '🥇' : rank === 2 ? '🥈' : rank === 3 ? '🥉' : `${rank}.`;
+        return `<div class="lb-entry${rank === mine.rank ? ' lb-me' : ''}">
           <span class="lb-rank">${medal}</span>
-          <span class="lb-name">${e.name}</span>
-          <span class="lb-score">Lv.${e.level} — ${e.score.toLocaleString()} XP</span>
+          <span class="lb-name">${esc(e.name)}${e.verified ? '<span class="lb-verified">✓</span>' : ''}</span>
+          <span class="lb-score">${format(e.value)}</span>
         </div>`;
-      }).join('');
+      };
+      let html = entries.map((e, i) => row(e, i + 1)).join('');
+
+      // Your own position when it's below the top list
+      if (mine.rank > entries.length) {
+        html += '<div class="lb-gap">⋯</div>';
+        html += mine.around.filter(e => e.rank > entries.length).map(e => row(e, e.rank)).join('');
+      }
+      list.innerHTML = html;
     } catch {
       list.innerHTML = '<p style="text-align:center; color:#888;">Could not load leaderboard</p>';
     }
   }
+
+  /** Coarse countdown for leaderboard resets: "3d 4h", "5h 12m", "9m" */
+  _formatTimeLeft(ms) {
+    const minutes = Math.max(1, Math.ceil(ms / 60000));
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return `${minutes}m`;
+  }
+
+  async _fetchStats() {
+    const content = document.getElementById('stats-content');
+    if (!content) return;
+
+    try {
+      const res = await fetch('/api/me/stats');
+      if (res.status === 401) {
+        content.innerHTML = '<p style="text-align:center; color:#888;">Log in to track your career stats across runs.</p>';
+        return;
+      }
+      const { stats } = await res.json();
+      if (!stats || stats.runs === 0) {
+        content.innerHTML = '<p style="text-align:center; color:#888;">No runs recorded yet. Play a round!</p>';
+        return;
+      }
+
+      const card = (label, value) => `<div class="stats-card"><span class="stats-value">${value}</span><span class="stats-label">${label}</span></div>`;
+      const section = (title, cards) => `<div class="htp-section"><h3>${title}</h3><div class="stats-grid">${cards.join('')}</div></div>`;
+      const num = (n) => n.toLocaleString();
+
+      content.innerHTML = [
+        section('Lifetime', [
+          card('Runs', num(stats.runs)),
+          card('Time played', this._formatDuration(stats.timePlayed)),
+          card('Player kills', num(stats.totals.kills)),
+          card('Mob kills', num(stats.totals.mobKills)),
+          card('Total XP', num(stats.totals.score)),
+          card('Evolutions', num(stats.totals.evolutions)),
+        ]),
+        section('Per run', [
+          card('Survival', this._formatDuration(stats.averages.duration)),
+          card('Player kills', stats.averages.kills),
+          card('Mob kills', stats.averages.mobKills),
+          card('Level', stats.averages.level),
+          card('XP', num(stats.averages.score)),
+        ]),
+        section('Personal bests', [
+          card('Longest run', this._formatDuration(stats.bests.duration)),
+          card('Player kills', num(stats.bests.kills)),
+          card('Mob kills', num(stats.bests.mobKills)),
+          card('Level', stats.bests.level),
+          card('XP', num(stats.bests.score)),
+        ]),
+        section('Deaths', [
+          card('By players', num(stats.deaths.byPlayers)),
+          card('By mobs', num(stats.deaths.byMobs)),
+        ]),
+      ].join('');
+    } catch {
+      content.innerHTML = '<p style="text-align:center; color:#888;">Could not load stats</p>';
+    }
+  }
+
+  /** "1h 5m", "3m 12s" or "42s" */
+  _formatDuration(ms) {
+    const total = Math.floor(ms / 1000);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    if (h > 0) return `${h}h ${m}m`;
+    if (m > 0) return `${m}m ${s}s`;
+    return `${s}s`;
+  }
+
+  // --- Match history ---
+  async _fetchRuns(cursor) {
+    const section = document.getElementById('stats-runs');
+    if (!section) return;
+    if (!cursor) section.innerHTML = '';
+
+    try {
+      const res = await fetch(`/api/me/runs${cursor ? `?cursor=${cursor}` : ''}`);
+      if (!res.ok) return; // Logged out: the stats panel already says so
+      const { runs, nextCursor } = await res.json();
+      if (!cursor && runs.length === 0) return;
+
+      if (!cursor) section.innerHTML = '<h3>Recent runs</h3><div class="run-list"></div>';
+      const list = section.querySelector('.run-list');
+      const more = section.querySelector('.run-more');
+      if (more) more.remove();
+
+      for (const run of runs) {
+        const row = document.createElement('button');
+        row.className = 'run-row';
+        row.innerHTML = `
+          <span class="run-when">${new Date(run.endedAt).toLocaleString()}</span>
+          <span class="run-summary">Lv.${run.level} · ${run.kills} kills · ${this._formatDuration(run.duration)}</span>`;
+        row.addEventListener('click', () => this.showRun(run.id));
+        list.appendChild(row);
+      }
+
+      if (nextCursor) {
+        const btn = document.createElement('button');
+        btn.className = 'run-more';
+        btn.textContent = 'Load more';
+        btn.addEventListener('click', () => this._fetchRuns(nextCursor));
+        section.appendChild(btn);
+      }
+    } catch {
+      // History is optional; stats above still show
+    }
+  }
+
+  /** Open the run detail view: summary, damage/mob-kill chart and event timeline */
+  async showRun(runId) {
+    const overlay = document.getElementById('run-overlay');
+    const content = document.getElementById('run-content');
+    if (!overlay || !content) return;
+    overlay.classList.add('active');
+    content.innerHTML = '<p style="text-align:center; color:#888;">Loading...</p>';
+
+    try {
+      const res = await fetch(`/api/runs/${encodeURIComponent(runId)}`);
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      content.innerHTML = this._renderRun(data.run);
+    } catch (err) {
+      content.innerHTML = `<p style="text-align:center; color:#888;">${err.message || 'Could not load run'}</p>`;
+    }
+  }
+
+  _renderRun(run) {
+    const esc = (text) => String(text).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+    const at = (t) => this._formatDuration(t);
+    const card = (label, value) => `<div class="stats-card"><span class="stats-value">${value}</span><span class="stats-label">${label}</span></div>`;
+    const cause = run.cause === 'player' ? `Killed by ${esc(run.killer)}` : run.cause === 'mob' ? 'Killed by a mob' : 'Left the game';
+
+    let html = `<div class="htp-section"><h3>${cause}</h3><div class="stats-grid">
+      ${card('Survived', at(run.duration))}
+      ${card('Level', run.level)}
+      ${card('XP', run.score.toLocaleString())}
+      ${card('Player kills', run.kills)}
+      ${card('Mob kills', run.mobKills)}
+      ${card('Evolutions', run.evolutions.length)}
+    </div></div>`;
+
+    html += `<div class="htp-section"><h3>Final build</h3><p>${run.weapons
+      .map(w => `${esc(w.key.replace(/_/g, ' '))}${w.evolved ? ' ★' : ` Lv.${w.level}`}`).join(' · ')}</p></div>`;
+
+    const timeline = run.timeline;
+    if (!timeline) return html;
+
+    // Damage taken (bars) and mob kills (dots) per time bucket
+    const buckets = timeline.buckets;
+    if (buckets.length > 0) {
+      const maxDamage = Math.max(1, ...buckets.map(b => b.damage));
+      const bars = buckets.map(b => `<div class="run-bar" title="${at(b.t)}: ${b.damage} damage, ${b.mobKills} mob kills">
+          <div class="run-bar-fill" style="height:${Math.round(b.damage / maxDamage * 100)}%"></div>
+          ${b.mobKills > 0 ? '<div class="run-bar-kill"></div>' : ''}
+        </div>`).join('');
+      html += `<div class="htp-section"><h3>Damage taken over time</h3><div class="run-chart">${bars}</div></div>`;
+    }
+
+    const describe = (e) => {
+      if (e.type === 'levelUp') return `Level ${e.level}: ${esc(e.choice.name || e.choice.key)}`;
+      if (e.type === 'evolution') return `Evolved ${esc(e.key.replace(/_/g, ' '))}`;
+      if (e.type === 'kill') return `Killed ${esc(e.victim)}`;
+      return esc(e.type);
+    };
+    if (timeline.events.length > 0) {
+      html += `<div class="htp-section"><h3>Timeline</h3><div class="run-events">${timeline.events
+        .map(e => `<div class="run-event run-event-${e.type}"><span class="run-event-time">${at(e.t)}</span>${describe(e)}</div>`)
+        .join('')}</div></div>`;
+    }
+    return html;
+  }
 }
@@ -0,0 +1,249 @@
+// Anti-abuse monitor — scores real players for suspicious behaviour so admins can review them
+// Signals: input cadence (floods, robotic timing, aim snapping), repeated kills of the same
+// victim (kill feeding), and several players/accounts sharing one IP (multi-accounting)
+// Scores only flag players; kicking and banning are explicit admin actions
+
+import { SERVER_CONFIG } from './config.js';
+
+const INPUT_WINDOW = 100;         // Recent inputs kept per player
+const INPUT_EVAL_EVERY = 50;      // Re-score cadence after this many new inputs
+const STALE_AFTER = 10 * 60 * 1000;
+const TWO_PI = Math.PI * 2;
+
+/** Points added per signal (the flag threshold is SERVER_CONFIG.ABUSE_FLAG_SCORE) */
+const WEIGHTS = {
+  inputFlood: 30,
+  aimSnaps: 40,
+  robotCadence: 15,
+  feeding: 25,
+  sameIPFeeding: 25,
+  sharedIP: 10,
+  multiAccount: 25,
+};
+
+export class AbuseMonitor {
+  constructor() {
+    this.players = new Map(); // playerId -> record (see trackPlayer)
+    this.pairKills = new Map(); // "killerIdentity>victimIdentity" -> [timestamps]
+    this.ipAccounts = new Map(); // ip -> Map(userId -> lastSeen)
+
+    this.sweepInterval = setInterval(() => this._sweep(), 60 * 1000);
+    this.sweepInterval.unref();
+  }
+
+  // ========== TRACKING ==========
+
+  /** Start (or refresh after a resume) tracking a real player */
+  trackPlayer(playerId, { socketId, ip, userId = null, name, roomId }) {
+    const now = Date.now();
+    let record = this.players.get(playerId);
+    if (!record) {
+      record = {
+        playerId,
+        inputs: [],
+        inputsSinceEval: 0,
+        signals: {},   // signal -> reason string
+        kills: 0,
+        deaths: 0,
+        createdAt: now,
+      };
+      this.players.set(playerId, record);
+    }
+    Object.assign(record, { socketId, ip, userId, name, roomId, lastSeen: now });
+
+    if (userId) {
+      if (!this.ipAccounts.has(ip)) this.ipAccounts.set(ip, new Map());
+      this.ipAccounts.get(ip).set(userId, now);
+    }
+  }
+
+  /** Input arrived from a player (already schema-checked) */
+  recordInput(player, data) {
+    const record = this.players.get(player.id);
+    if (!record) return;
+
+    const now = Date.now();
+    record.lastSeen = now;
+    record.inputs.push({ t: now, angle: typeof data.angle === 'number' ? data.angle : null });
+    if (record.inputs.length > INPUT_WINDOW) record.inputs.shift();
+
+    if (++record.inputsSinceEval >= INPUT_EVAL_EVERY) {
+      record.inputsSinceEval = 0;
+      this._scoreInputs(record);
+    }
+  }
+
+  /** A player killed another player (bots are ignored); returns true when the pair looks like feeding */
+  recordKill(killer, victim) {
+    const k = this.players.get(killer.id);
+    const v = this.players.get(victim.id);
+    if (k) k.kills++;
+    if (v) v.deaths++;
+    if (!k || !v) return false;
+
+    const now = Date.now();
+    const key = `${this._identity(k)}>${this._identity(v)}`;
+    const times = (this.pairKills.get(key) || []).filter(t => now - t < SERVER_CONFIG.ABUSE_FEED_WINDOW);
+    times.push(now);
+    this.pairKills.set(key, times);
+
+    if (times.length >= SERVER_CONFIG.ABUSE_FEED_KILLS) {
+      const mins = Math.round(SERVER_CONFIG.ABUSE_FEED_WINDOW / 60000);
+      k.signals.feeding = `killed ${v.name} ${times.length}x in ${mins} min`;
+      v.signals.feeding = `killed by ${k.name} ${times.length}x in ${mins} min`;
+      if (k.ip === v.ip) {
+        k.signals.sameIPFeeding = `repeat victim ${v.name} shares IP`;
+        v.signals.sameIPFeeding = `repeat killer ${k.name} shares IP`;
+      }
+      return true;
+    }
+    return false;
+  }
+
+  /** Same person across reconnects/rooms: their account, or their IP for guests */
+  _identity(record) {
+    return record.userId ? `user:${record.userId}` : `ip:${record.ip}`;
+  }
+
+  /** Input cadence signals over the recent window */
+  _scoreInputs(record) {
+    const inputs = record.inputs;
+    if (inputs.length < INPUT_EVAL_EVERY) return;
+
+    const span = (inputs[inputs.length - 1].t - inputs[0].t) / 1000;
+    const rate = span > 0 ? (inputs.length - 1) / span : Infinity;
+    if (rate > SERVER_CONFIG.ABUSE_MAX_INPUT_RATE) {
+      record.signals.inputFlood = `${Math.round(rate)} inputs/sec`;
+    } else {
+      delete record.signals.inputFlood;
+    }
+
+    // Aim snapping: big direction flips between consecutive inputs, far more often than mouse movement allows
+    // Robotic cadence: intervals with (almost) no jitter
+    let snaps = 0;
+    let sum = 0;
+    let sumSq = 0;
+    for (let i = 1; i < inputs.length; i++) {
+      const dt = inputs[i].t - inputs[i - 1].t;
+      sum += dt;
+      sumSq += dt * dt;
+
+      const a0 = inputs[i - 1].angle;
+      const a1 = inputs[i].angle;
+      if (a0 === null || a1 === null) continue;
+      let da = Math.abs(a1 - a0) % TWO_PI;
+      if (da > Math.PI) da = TWO_PI - da;
+      if (da > SERVER_CONFIG.ABUSE_SNAP_ANGLE) snaps++;
+    }
+
+    const n = inputs.length - 1;
+    const snapRatio = snaps / n;
+    if (snapRatio > SERVER_CONFIG.ABUSE_SNAP_RATIO) {
+      record.signals.aimSnaps = `${Math.round(snapRatio * 100)}% of inputs snap direction`;
+    } else {
+      delete record.signals.aimSnaps;
+    }
+
+    const mean = sum / n;
+    const jitter = Math.sqrt(Math.max(0, sumSq / n - mean * mean));
+    if (jitter < SERVER_CONFIG.ABUSE_MIN_INPUT_JITTER) {
+      record.signals.robotCadence = `input interval jitter ${jitter.toFixed(2)}ms`;
+    } else {
+      delete record.signals.robotCadence;
+    }
+  }
+
+  /** IP/account correlations, computed across everyone currently tracked */
+  _correlate(now) {
+    const byIP = new Map();
+    for (const [, record] of this.players) {
+      if (now - record.lastSeen > STALE_AFTER) continue;
+      if (!byIP.has(record.ip)) byIP.set(record.ip, []);
+      byIP.get(record.ip).push(record);
+    }
+
+    for (const [ip, records] of byIP) {
+      const accounts = this.ipAccounts.get(ip);
+      const accountCount = accounts ? accounts.size : 0;
+      for (const record of records) {
+        if (records.length >= SERVER_CONFIG.ABUSE_IP_PLAYERS) {
+          record.signals.sharedIP = `${records.length} players on one IP`;
+        } else {
+          delete record.signals.sharedIP;
+        }
+        if (accountCount >= SERVER_CONFIG.ABUSE_IP_ACCOUNTS) {
+          record.signals.multiAccount = `${accountCount} accounts on one IP`;
+        } else {
+          delete record.signals.multiAccount;
+        }
+      }
+    }
+  }
+
+  // ========== REPORTING ==========
+
+  _score(record) {
+    let score = 0;
+    for (const signal of Object.keys(record.signals)) score += WEIGHTS[signal] || 0;
+    return score;
+  }
+
+  _report(record) {
+    return {
+      playerId: record.playerId,
+      name: record.name,
+      socketId: record.socketId,
+      roomId: record.roomId,
+      ip: record.ip,
+      userId: record.userId,
+      score: this._score(record),
+      reasons: Object.values(record.signals),
+      kills: record.kills,
+      deaths: record.deaths,
+      lastSeen: record.lastSeen,
+    };
+  }
+
+  /** Players at or above the flag score (or `minScore`), highest first */
+  getFlagged(minScore = SERVER_CONFIG.ABUSE_FLAG_SCORE) {
+    this._correlate(Date.now());
+    const flagged = [];
+    for (const [, record] of this.players) {
+      if (this._score(record) >= minScore) flagged.push(this._report(record));
+    }
+    return flagged.sort((a, b) => b.score - a.score);
+  }
+
+  /** Tracked player record (for admin actions), or null */
+  getPlayer(playerId) {
+    return this.players.get(playerId) || null;
+  }
+
+  // ========== ADMIN ==========
+
+  /** Sockets of tracked players matching an IP or account (for kicking after a ban) */
+  findSockets({ ip = null, userId = null }) {
+    const sockets = [];
+    for (const [, record] of this.players) {
+      if ((ip && record.ip === ip) || (userId && record.userId === userId)) sockets.push(record.socketId);
+    }
+    return sockets;
+  }
+
+  /** Forget players not seen for a while and kill pairs outside the window */
+  _sweep() {
+    const now = Date.now();
+    for (const [playerId, record] of this.players) {
+      if (now - record.lastSeen > STALE_AFTER) this.players.delete(playerId);
+    }
+    for (const [key, times] of this.pairKills) {
+      if (now - times[times.length - 1] > SERVER_CONFIG.ABUSE_FEED_WINDOW) this.pairKills.delete(key);
+    }
+    for (const [ip, accounts] of this.ipAccounts) {
+      for (const [userId, seen] of accounts) {
+        if (now - seen > SERVER_CONFIG.ABUSE_ACCOUNT_WINDOW) accounts.delete(userId);
+      }
+      if (accounts.size === 0) this.ipAccounts.delete(ip);
+    }
+  }
+}
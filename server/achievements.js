@@ -0,0 +1,121 @@
+// Achievements — catalog and server-side unlock tracking for logged-in players
+// Each entry listens to one game event (see ServerGame.onPlayerEvent) and unlocks when its test passes
+// Unlocks are persisted per account; guests don't earn achievements
+
+import { EVOLUTIONS } from '../shared/constants.js';
+import { getUnlockedAchievements, unlockAchievement, getLifetimeEvolutions } from './db.js';
+
+/**
+ * Catalog. `test(ctx)` gets { player, data, evolutionsOwned() } for the achievement's event:
+ *   kill       { victim }  the player killed another player
+ *   mobKill    {}          the player killed a mob
+ *   levelUp    { level }   the player reached a new level
+ *   evolution  { key }     the player evolved a weapon
+ */
+export const ACHIEVEMENTS = [
+  {
+    id: 'first_blood', name: 'First Blood', description: 'Kill another player',
+    event: 'kill', test: () => true,
+  },
+  {
+    id: 'first_evolution', name: 'Evolved', description: 'Evolve a weapon',
+    event: 'evolution', test: () => true,
+  },
+  {
+    id: 'killing_spree', name: 'Killing Spree', description: 'Kill 10 players in one life',
+    event: 'kill', test: ({ player }) => player.playerKills >= 10,
+  },
+  {
+    id: 'clutch', name: 'Clutch', description: 'Kill a player while below 10% HP',
+    event: 'kill', test: ({ player }) => player.hp <= player.maxHp * 0.1,
+  },
+  {
+    id: 'exterminator', name: 'Exterminator', description: 'Kill 200 mobs in one life',
+    event: 'mobKill', test: ({ player }) => player.mobKills >= 200,
+  },
+  {
+    id: 'level_20', name: 'Veteran', description: 'Reach level 20',
+    event: 'levelUp', test: ({ player }) => player.level >= 20,
+  },
+  {
+    id: 'collector', name: 'Collector', description: 'Evolve every weapon at least once',
+    event: 'evolution', test: ({ evolutionsOwned }) => Object.keys(EVOLUTIONS).every(key => evolutionsOwned().has(key)),
+  },
+];
+
+/** Catalog entry as sent to clients */
+function describe(achievement) {
+  return { id: achievement.id, name: achievement.name, description: achievement.description };
+}
+
+/** Full catalog with a user's unlock state (for the profile) */
+export function listAchievements(userId) {
+  const unlocked = new Map(getUnlockedAchievements(userId).map(a => [a.id, a.unlockedAt]));
+  return ACHIEVEMENTS.map(a => ({
+    ...describe(a),
+    unlocked: unlocked.has(a.id),
+    unlockedAt: unlocked.get(a.id) || null,
+  }));
+}
+
+export class AchievementTracker {
+  constructor() {
+    this.unlocked = new Map(); // userId -> Set of achievement ids (loaded on first event)
+    this.byEvent = new Map();  // event -> catalog entries
+    for (const achievement of ACHIEVEMENTS) {
+      if (!this.byEvent.has(achievement.event)) this.byEvent.set(achievement.event, []);
+      this.byEvent.get(achievement.event).push(achievement);
+    }
+  }
+
+  /**
+   * Evaluate a game event for a player. Returns newly unlocked achievements (usually none).
+   * @param {object} player - ServerPlayer (ignored unless linked to an account)
+   * @param {string} event - catalog event name
+   * @param {object} [data] - event payload
+   */
+  handle(player, event, data = {}) {
+    const candidates = this.byEvent.get(event);
+    if (!candidates || !player.userId) return [];
+
+    const owned = this._unlockedFor(player.userId);
+    let evolutions = null;
+    const ctx = {
+      player,
+      data,
+      // Lifetime evolutions: finished runs plus the current one (only queried when a test asks)
+      evolutionsOwned: () => {
+        if (!evolutions) {
+          evolutions = getLifetimeEvolutions(player.userId);
+          for (const e of player.evolutions) evolutions.add(e.key);
+        }
+        return evolutions;
+      },
+    };
+
+    const unlocked = [];
+    for (const achievement of candidates) {
+      if (owned.has(achievement.id) || !achievement.test(ctx)) continue;
+      owned.add(achievement.id);
+      if (unlockAchievement(player.userId, achievement.id)) {
+        console.log(`[Achievements] User ${player.userId} unlocked ${achievement.id}`);
+        unlocked.push(describe(achievement));
+      }
+    }
+    return unlocked;
+  }
+
+  /** Forget a user's cached unlocks (e.g. after their socket disconnects) */
+  forget(userId) {
+    this.unlocked.delete(userId);
+  }
+
+  _unlockedFor(userId) {
+    let owned = this.unlocked.get(userId);
+    if (!owned) {
+      owned = new Set(getUnlockedAchievements(userId).map(a => a.id));
+      this.unlocked.set(userId, owned);
+    }
+    return owned;
+  }
+}
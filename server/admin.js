@@ -0,0 +1,140 @@
+// Admin routes — live player lookup, kicks, bans, roles and abuse/guard diagnostics
+// Everything here requires an admin (users.role = 'admin', or ADMIN_TOKEN for ops access)
+
+import { Router } from 'express';
+import { requireAdmin } from './auth.js';
+import {
+  createBan, deleteBan, listBans, nameMatchesPattern, setUserRole,
+} from './db.js';
+
+const ROLES = ['user', 'admin'];
+
+/**
+ * Create the admin router (mounted at /api/admin).
+ * @param {object} deps - { io, rooms, guard, abuse }
+ */
+export function createAdminRouter({ io, rooms, guard, abuse }) {
+  const router = Router();
+  router.use(requireAdmin);
+
+  /** Disconnect a socket with a reason shown to the player, returns whether it was connected */
+  function kickSocket(socketId, reason) {
+    const socket = socketId ? io.sockets.sockets.get(socketId) : null;
+    if (!socket) return false;
+    socket.emit('kicked', { reason });
+    socket.disconnect(true); // Intentional disconnect: the player is removed, not parked
+    return true;
+  }
+
+  /** Live sockets matching a ban target */
+  function socketsMatching({ userId, ip, namePattern }) {
+    const sockets = new Set();
+    if (userId) rooms.findPlayers(p => p.userId === userId).forEach(f => sockets.add(f.socketId));
+    if (ip) abuse.findSockets({ ip }).forEach(id => sockets.add(id));
+    if (namePattern) rooms.findPlayers(p => nameMatchesPattern(namePattern, p.name)).forEach(f => sockets.add(f.socketId));
+    return [...sockets];
+  }
+
+  const adminName = (req) => (req.adminUser ? `user ${req.adminUser.id}` : 'token');
+
+  // GET socket guard counters (rejected/limited events per type, warnings, disconnects, top offenders)
+  router.get('/guard', (req, res) => {
+    res.json(guard.getStats());
+  });
+
+  // GET players flagged by the anti-abuse monitor (?min=<score> to lower/raise the threshold)
+  router.get('/flagged', (req, res) => {
+    const min = parseInt(req.query.min, 10);
+    res.json({ players: abuse.getFlagged(Number.isFinite(min) ? min : undefined) });
+  });
+
+  // GET live players (?name= substring filter)
+  router.get('/players', (req, res) => {
+    const filter = typeof req.query.name === 'string' ? req.query.name.toLowerCase() : '';
+    const players = rooms.findPlayers(p => !filter || p.name.toLowerCase().includes(filter));
+    for (const p of players) {
+      const record = abuse.getPlayer(p.playerId);
+      p.ip = record ? record.ip : null;
+    }
+    res.json({ players });
+  });
+
+  // POST kick a live player out of their game: { playerId, reason? }
+  router.post('/kick', (req, res) => {
+    const { playerId, reason } = req.body || {};
+    if (typeof playerId !== 'string') return res.status(400).json({ error: 'playerId required' });
+
+    const [found] = rooms.findPlayers(p => p.id === playerId);
+    if (!found) return res.status(404).json({ error: 'Player not found' });
+
+    kickSocket(found.socketId, typeof reason === 'string' && reason ? reason.slice(0, 200) : 'Kicked by an admin');
+    console.log(`[${new Date().toISOString()}] Admin kick: ${found.name} (${playerId}) by ${adminName(req)}`);
+    res.json({ kicked: found });
+  });
+
+  // GET bans (?all=1 includes expired ones)
+  router.get('/bans', (req, res) => {
+    res.json({ bans: listBans(req.query.all === '1') });
+  });
+
+  // POST create a ban: { playerId } or any of { userId, ip, namePattern }, plus { minutes?, reason? }
+  // Live players it matches are kicked immediately
+  router.post('/bans', (req, res) => {
+    const body = req.body || {};
+    let userId = Number.isInteger(body.userId) ? body.userId : null;
+    let ip = typeof body.ip === 'string' && body.ip.length <= 64 ? body.ip : null;
+    const namePattern = typeof body.namePattern === 'string' && body.namePattern.trim()
+      ? body.namePattern.trim().slice(0, 32)
+      : null;
+
+    if (typeof body.playerId === 'string') {
+      const [found] = rooms.findPlayers(p => p.id === body.playerId);
+      const record = abuse.getPlayer(body.playerId);
+      if (!found && !record) return res.status(404).json({ error: 'Player not found' });
+      userId = userId || (found && found.userId) || (record && record.userId) || null;
+      ip = ip || (record && record.ip) || null;
+    }
+    if (!userId && !ip && !namePattern) {
+      return res.status(400).json({ error: 'playerId, userId, ip or namePattern required' });
+    }
+    if (body.minutes !== undefined && !(typeof body.minutes === 'number' && body.minutes > 0)) {
+      return res.status(400).json({ error: 'minutes must be a positive number' });
+    }
+
+    const ban = createBan({
+      userId,
+      ip,
+      namePattern,
+      reason: typeof body.reason === 'string' ? body.reason.slice(0, 200) : '',
+      createdBy: req.adminUser ? req.adminUser.id : null,
+      expiresAt: body.minutes ? new Date(Date.now() + body.minutes * 60 * 1000).toISOString() : null,
+    });
+
+    let kicked = 0;
+    for (const socketId of socketsMatching(ban)) {
+      if (kickSocket(socketId, ban.reason || 'Banned')) kicked++;
+    }
+    console.log(`[${new Date().toISOString()}] Admin ban #${ban.id}: user=${userId || '-'} ip=${ip || '-'} name=${namePattern || '-'} by ${adminName(req)}`);
+    res.json({ ban, kicked });
+  });
+
+  // DELETE lift a ban
+  router.delete('/bans/:id', (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!deleteBan(id)) return res.status(404).json({ error: 'Ban not found' });
+    console.log(`[${new Date().toISOString()}] Admin unban #${id} by ${adminName(req)}`);
+    res.json({ ok: true });
+  });
+
+  // POST set a user's role: { role: 'user' | 'admin' }
+  router.post('/users/:id/role', (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const role = req.body && req.body.role;
+    if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+    if (!setUserRole(id, role)) return res.status(404).json({ error: 'User not found' });
+    console.log(`[${new Date().toISOString()}] Admin role: user ${id} -> ${role} by ${adminName(req)}`);
+    res.json({ ok: true });
+  });
+
+  return router;
+}
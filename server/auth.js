@@ -1,13 +1,18 @@
-// Authentication routes — register, login, logout, session check
+// Authentication routes — register, login, logout, session check, profile (display name)
+// Also the admin gate (admin role or ADMIN_TOKEN) and ban messages shared with the socket handshake
 // Uses Node.js built-in crypto.scrypt for password hashing (no bcrypt)
 
 import { Router } from 'express';
 import { scrypt, randomBytes, timingSafeEqual } from 'crypto';
 import { promisify } from 'util';
 import {
-  createUser, getUserByEmail, getUserById,
-  createSession, getSession, deleteSession,
+  createUser, getUserByEmail, getUserById, getUserIdByNameKey, setDisplayName,
+  createSession, getSession, deleteSession, findActiveBan, getRating,
 } from './db.js';
+import { validateName, DEFAULT_NAME } from './names.js';
+import { BOT_NAMES } from './game.js';
+import { listAchievements } from './achievements.js';
+import { describeRating } from './rating.js';
 
 const scryptAsync = promisify(scrypt);
 const SALT_LENGTH = 16;
@@ -48,9 +53,9 @@ function parseCookies(cookieHeader) {
   return cookies;
 }
 
-/** Get the authenticated user from request cookies */
-export async function getSessionUser(req) {
-  const cookies = parseCookies(req.headers.cookie);
+/** Resolve the session cookie in a raw Cookie header to a user */
+function getUserFromCookies(cookieHeader) {
+  const cookies = parseCookies(cookieHeader);
   const token = cookies[COOKIE_NAME];
   if (!token) return null;
 
@@ -60,6 +65,57 @@ export async function getSessionUser(req) {
   return getUserById(session.user_id);
 }
 
+/** Get the authenticated user from request cookies */
+export async function getSessionUser(req) {
+  return getUserFromCookies(req.headers.cookie);
+}
+
+/**
+ * Socket.io middleware: attach the logged-in user (or null for guests) to socket.data.user
+ * from the session cookie sent with the handshake. Guests are still allowed in.
+ */
+export function authenticateSocket(socket, next) {
+  try {
+    socket.data.user = getUserFromCookies(socket.handshake.headers.cookie);
+  } catch (err) {
+    console.error('[Auth] Socket auth error:', err.message);
+    socket.data.user = null;
+  }
+  next();
+}
+
+/** Whether the request carries `Authorization: Bearer $ADMIN_TOKEN` (ops/bootstrap access) */
+function hasAdminToken(req) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) return false;
+  const given = req.get('authorization') || '';
+  const wanted = `Bearer ${expected}`;
+  return given.length === wanted.length && timingSafeEqual(Buffer.from(given), Buffer.from(wanted));
+}
+
+/** Express middleware for admin-only routes: a logged-in user with the admin role, or ADMIN_TOKEN */
+export async function requireAdmin(req, res, next) {
+  try {
+    if (hasAdminToken(req)) return next();
+    const user = await getSessionUser(req);
+    if (user && user.role === 'admin') {
+      req.adminUser = user;
+      return next();
+    }
+  } catch (err) {
+    console.error('[Auth] Admin check error:', err.message);
+  }
+  res.status(403).json({ error: 'Forbidden' });
+}
+
+/** Player-facing text for a ban */
+export function describeBan(ban) {
+  let text = 'Banned';
+  if (ban.reason) text += `: ${ban.reason}`;
+  if (ban.expiresAt) text += ` (until ${new Date(ban.expiresAt).toUTCString()})`;
+  return text;
+}
+
 function isValidEmail(email) {
   return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) && email.length <= 255;
 }
@@ -68,6 +124,46 @@ function isValidPassword(password) {
   return typeof password === 'string' && password.length >= 6 && password.length <= 128;
 }
 
+/**
+ * Name rules for players: blocklist, bot names, and display names registered to other accounts.
+ * `userId` is the account asking (its own display name is allowed).
+ */
+export function checkPlayerName(raw, userId = null) {
+  return validateName(raw, { botNames: BOT_NAMES, registeredOwner: getUserIdByNameKey, userId });
+}
+
+/** Validate a display name for an account, returns { name } or { error } */
+function checkDisplayName(raw, userId = null) {
+  if (typeof raw !== 'string' || raw.trim().length < 2) {
+    return { error: 'Display name must be 2-16 characters' };
+  }
+  const result = checkPlayerName(raw, userId);
+  if (result.error) return result;
+
+  // The guest default (and its numbered variants) can't be owned
+  if (result.name.toLowerCase().replace(/\d+$/, '') === DEFAULT_NAME.toLowerCase()) {
+    return { error: 'That name is reserved' };
+  }
+  if (findActiveBan({ name: result.name })) return { error: 'That name is not allowed' };
+  return result;
+}
+
+/** Account fields sent to the client */
+function userJSON(user) {
+  return { id: user.id, email: user.email, skins: user.skins, displayName: user.displayName || null };
+}
+
+/** Public profile of an account */
+function profileJSON(user) {
+  return {
+    id: user.id,
+    displayName: user.displayName || null,
+    createdAt: user.createdAt,
+    rating: describeRating(getRating(user.id)),
+    achievements: listAchievements(user.id),
+  };
+}
+
 /** Create and return Express auth router */
 export function createAuthRouter() {
   const router = Router();
@@ -75,7 +171,7 @@ export function createAuthRouter() {
   // POST /api/register
   router.post('/register', async (req, res) => {
     try {
-      const { email, password, existingSkins } = req.body;
+      const { email, password, existingSkins, displayName } = req.body;
 
       if (!isValidEmail(email)) {
         return res.status(400).json({ error: 'Invalid email format' });
@@ -90,13 +186,18 @@ export function createAuthRouter() {
         return res.status(409).json({ error: 'Email already registered' });
       }
 
+      const name = checkDisplayName(displayName);
+      if (name.error) {
+        return res.status(name.taken ? 409 : 400).json({ error: name.error });
+      }
+
       const passwordHash = await hashPassword(password);
       const skinsList = Array.isArray(existingSkins) ? existingSkins.filter(s => typeof s === 'string') : [];
-      const user = createUser(email, passwordHash, skinsList);
+      const user = createUser(email, passwordHash, skinsList, name.name);
       const token = createSession(user.id);
 
       res.cookie(COOKIE_NAME, token, COOKIE_OPTIONS);
-      res.json({ user: { id: user.id, email: user.email, skins: user.skins } });
+      res.json({ user: userJSON(user) });
     } catch (err) {
       console.error('[Auth] Register error:', err.message);
       res.status(500).json({ error: 'Registration failed' });
@@ -122,9 +223,14 @@ export function createAuthRouter() {
         return res.status(401).json({ error: 'Invalid email or password' });
       }
 
+      const ban = findActiveBan({ userId: user.id, ip: req.ip });
+      if (ban) {
+        return res.status(403).json({ error: describeBan(ban) });
+      }
+
       const token = createSession(user.id);
       res.cookie(COOKIE_NAME, token, COOKIE_OPTIONS);
-      res.json({ user: { id: user.id, email: user.email, skins: user.skins } });
+      res.json({ user: userJSON(user) });
     } catch (err) {
       console.error('[Auth] Login error:', err.message);
       res.status(500).json({ error: 'Login failed' });
@@ -148,7 +254,44 @@ export function createAuthRouter() {
     if (!user) {
       return res.json({ user: null });
     }
-    res.json({ user: { id: user.id, email: user.email, skins: user.skins } });
+    res.json({ user: userJSON(user) });
+  });
+
+  // GET /api/profile
+  router.get('/profile', async (req, res) => {
+    try {
+      const user = await getSessionUser(req);
+      if (!user) {
+        return res.status(401).json({ error: 'Not logged in' });
+      }
+      res.json({ profile: profileJSON(user) });
+    } catch (err) {
+      console.error('[Auth] Profile error:', err.message);
+      res.status(500).json({ error: 'Could not load profile' });
+    }
+  });
+
+  // POST /api/profile — { displayName }
+  router.post('/profile', async (req, res) => {
+    try {
+      const user = await getSessionUser(req);
+      if (!user) {
+        return res.status(401).json({ error: 'Not logged in' });
+      }
+
+      const name = checkDisplayName(req.body && req.body.displayName, user.id);
+      if (name.error) {
+        return res.status(name.taken ? 409 : 400).json({ error: name.error });
+      }
+      if (!setDisplayName(user.id, name.name)) {
+        return res.status(409).json({ error: 'That name belongs to a registered player' });
+      }
+
+      res.json({ profile: profileJSON(getUserById(user.id)) });
+    } catch (err) {
+      console.error('[Auth] Profile error:', err.message);
+      res.status(500).json({ error: 'Profile update failed' });
+    }
   });
 
   return router;
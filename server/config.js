@@ -20,4 +20,77 @@ export const SERVER_CONFIG = {
   // Kill XP drop
   DEATH_XP_DROP_RATIO: 0.5, // 50% of total score
   MAX_DEATH_ORBS: 10,
+
+  // Private rooms
+  ROOM_CODE_LENGTH: 6,
+
+  // Interest management (per-client gameState)
+  INTEREST_RADIUS: 1500, // world units around the player that a client is sent
+  FULL_SNAPSHOT_INTERVAL: 100, // sends between full snapshots for clients that don't ack (~5 sec at 20/sec)
+  SNAPSHOT_HISTORY: 32, // sent snapshots kept per client as delta baselines (~1.6 sec)
+  MINIMAP_SEND_INTERVAL: 1000, // ms between coarse minimap updates
+
+  // Reconnect: a dropped player stays parked (invulnerable, idle) this long for its client to resume
+  RECONNECT_GRACE: 15000, // ms
+
+  // Socket event guard (per-event limits live in guard.js)
+  GUARD_IP_RATE: 400, // events/sec shared by all sockets from one IP
+  GUARD_IP_BURST: 800,
+  GUARD_SCORE_DECAY: 2, // violation points forgiven per second
+  GUARD_WARN_SCORE: 20, // warn the client at this many points
+  GUARD_DISCONNECT_SCORE: 60, // and disconnect it at this many
+
+  // Anti-abuse scoring (see abuse.js for signal weights)
+  ABUSE_FLAG_SCORE: 50, // players at or above this are listed by /api/admin/flagged
+  ABUSE_MAX_INPUT_RATE: 25, // sustained inputs/sec (the client sends 20)
+  ABUSE_SNAP_ANGLE: Math.PI / 2, // direction change between two inputs that counts as a snap
+  ABUSE_SNAP_RATIO: 0.25, // share of snapping inputs that looks automated
+  ABUSE_MIN_INPUT_JITTER: 1, // ms, interval std-dev below this looks scripted
+  ABUSE_FEED_WINDOW: 10 * 60 * 1000, // ms window for repeat kills of the same victim
+  ABUSE_FEED_KILLS: 3, // repeat kills within the window that look like feeding
+  ABUSE_IP_PLAYERS: 3, // concurrent players on one IP
+  ABUSE_IP_ACCOUNTS: 3, // distinct accounts seen on one IP
+  ABUSE_ACCOUNT_WINDOW: 24 * 60 * 60 * 1000, // ms an account stays associated with an IP
+
+  // Database: writes from the game loop (runs, achievements, ratings) are saved to disk in batches
+  DB_SAVE_DELAY: 5000, // ms
+
+  // Latency diagnostics
+  MAX_REPORTED_RTT: 10000, // ms, client-reported round-trip times are clamped to this
+
+  // Skill rating (Elo-style, see rating.js): PvP kills between logged-in players
+  RATING_DEFAULT: 1200,
+  RATING_K: 24, // max rating moved by one kill
+  RATING_K_PROVISIONAL: 48, // used for an account's first RATING_PROVISIONAL_GAMES rated kills/deaths
+  RATING_PROVISIONAL_GAMES: 20,
+  RATING_LEVEL_WEIGHT: 0.05, // per level the killer is above (less) or below (more) the victim
+  RATING_MIN_WEIGHT: 0.25,
+  RATING_MAX_WEIGHT: 1.5,
+  RATING_SAFE_ZONE_MARGIN: 300, // kills this close to the safe zone edge look like spawn camping...
+  RATING_SAFE_ZONE_WEIGHT: 0.5, // ...and count this much
+
+  // Matchmaking (see matchmaking.js)
+  MATCH_WEIGHTS: { fill: 1, rating: 2, region: 1 }, // relative weight of each room criterion
+  MATCH_MIN_QUALITY: 0.45, // 0-1, rating/region fit a room needs to count as a match
+  MATCH_RATING_SPREAD: 400, // rating gap to a room's average that scores 0
+  MATCH_MAX_OPEN_ROOMS: 4, // open another public room for unmatched players only below this many
+  MATCH_FALLBACK_WAIT: 5000, // ms, then take the fullest room with space
+  MATCH_RETRY_INTERVAL: 1000, // ms between placement attempts while waiting
+  MATCH_REGIONS: ['na', 'sa', 'eu', 'asia', 'oce'], // region tags clients may ask for
+  MATCH_MODES: ['ffa'], // game modes clients may queue for (the first is the default)
+  MATCH_MAX_PARTY_SIZE: 4, // slots a join may ask to keep free for its party
+
+  // Leaderboard seasons (season 1 starts at SEASON_START, UTC; see leaderboard.js)
+  SEASON_START: '2026-01-05T00:00:00Z',
+  SEASON_LENGTH_DAYS: 28,
+
+  // Player names (see names.js; compared after leetspeak/homoglyph folding, extend with NAME_BLOCKLIST_EXTRA)
+  NAME_BLOCKLIST: [ // blocked anywhere in a name
+    'fuck', 'bitch', 'whore', 'nigger', 'nigga', 'faggot', 'hitler', 'vagina', 'pussy', 'molest',
+  ],
+  NAME_BLOCKLIST_WORDS: [ // blocked only as a whole word (short, or found inside ordinary words/names)
+    'ass', 'arse', 'dick', 'cock', 'fag', 'rape', 'tit', 'tits', 'cum', 'sex', 'kys', 'kkk', 'jizz', 'twat',
+    'shit', 'bullshit', 'shithead', 'nazi', 'pedo', 'rapist', // not inside Shitake, Nazir, Torpedo, Therapist
+    'cunt', 'porn', 'porno', 'penis', 'slut', 'slutty', 'retard', 'retarded', // Scunthorpe, Spornstein, Penistone
+  ],
 };
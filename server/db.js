@@ -1,13 +1,16 @@
 // SQLite database via sql.js (in-memory with file persistence)
-// Stores user accounts, sessions, and skin ownership
+// Stores user accounts (with roles and display names), sessions, skin ownership, bans, ratings, run history, achievements and season standings
 
 import initSqlJs from 'sql.js';
 import fs from 'fs';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
+import { nameSkeleton } from './names.js';
+import { SERVER_CONFIG } from './config.js';
 
 const DB_PATH = process.env.DB_PATH || path.join(process.cwd(), 'data', 'stackio.db');
 let db = null;
+let saveTimer = null; // pending scheduleSave()
 
 const SESSION_DURATION_DAYS = 30;
 
@@ -42,13 +45,85 @@ export async function initDB() {
     FOREIGN KEY (user_id) REFERENCES users(id)
   )`);
 
+  // Older databases predate roles
+  addColumnIfMissing('users', 'role', "TEXT NOT NULL DEFAULT 'user'");
+
+  // Display names are unique by their skeleton (names.js), so lookalike spellings count as taken
+  addColumnIfMissing('users', 'display_name', 'TEXT');
+  addColumnIfMissing('users', 'name_key', 'TEXT');
+  // Skill rating (see rating.js); NULL until the account's first rated kill or death
+  addColumnIfMissing('users', 'rating', 'REAL');
+  addColumnIfMissing('users', 'rated_games', 'INTEGER NOT NULL DEFAULT 0');
+  db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_name_key ON users(name_key)');
+
+  // Bans match a user id, an IP, or a name pattern (* wildcard); expires_at NULL = permanent
+  db.run(`CREATE TABLE IF NOT EXISTS bans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    ip TEXT,
+    name_pattern TEXT,
+    reason TEXT NOT NULL DEFAULT '',
+    created_by INTEGER,
+    created_at TEXT DEFAULT (datetime('now')),
+    expires_at TEXT
+  )`);
+
+  // One row per finished run of a logged-in player; weapons/evolutions are JSON arrays
+  db.run(`CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    started_at TEXT NOT NULL,
+    ended_at TEXT NOT NULL,
+    duration_ms INTEGER NOT NULL,
+    kills INTEGER NOT NULL DEFAULT 0,
+    mob_kills INTEGER NOT NULL DEFAULT 0,
+    level INTEGER NOT NULL DEFAULT 1,
+    score INTEGER NOT NULL DEFAULT 0,
+    weapons TEXT NOT NULL DEFAULT '[]',
+    evolutions TEXT NOT NULL DEFAULT '[]',
+    cause TEXT NOT NULL,
+    killer_name TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )`);
+  db.run('CREATE INDEX IF NOT EXISTS idx_runs_user ON runs(user_id, id)');
+  // Per-run timeline (level-up choices, evolutions, kills, damage taken over time) as JSON
+  addColumnIfMissing('runs', 'timeline', 'TEXT');
+
+  // Unlocked achievements (catalog in achievements.js)
+  db.run(`CREATE TABLE IF NOT EXISTS achievements (
+    user_id INTEGER NOT NULL,
+    achievement_id TEXT NOT NULL,
+    unlocked_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (user_id, achievement_id),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )`);
+
+  // Final standings of finished leaderboard seasons, per ranked metric (see METRICS in leaderboard.js)
+  db.run(`CREATE TABLE IF NOT EXISTS season_archive (
+    season_id TEXT NOT NULL,
+    metric TEXT NOT NULL,
+    rank INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    value INTEGER NOT NULL,
+    archived_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (season_id, metric, rank)
+  )`);
+
   saveDB();
   console.log('[DB] SQLite initialized');
 }
 
+function addColumnIfMissing(table, column, definition) {
+  const info = db.exec(`PRAGMA table_info(${table})`)[0];
+  const exists = info && info.values.some(row => row[1] === column);
+  if (!exists) db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
 /** Write in-memory database to disk */
 export function saveDB() {
   if (!db) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
   try {
     const data = db.export();
     const buffer = Buffer.from(data);
@@ -58,26 +133,41 @@ export function saveDB() {
   }
 }
 
-/** Create a new user */
-export function createUser(email, passwordHash, existingSkins) {
+/**
+ * Write to disk within DB_SAVE_DELAY ms. For writes made from the game loop (deaths, kills):
+ * each save exports and rewrites the whole file, so they're batched instead of blocking the tick.
+ */
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(saveDB, SERVER_CONFIG.DB_SAVE_DELAY);
+  saveTimer.unref();
+}
+
+/** Write changes still waiting for a scheduled save (call before shutting down) */
+export function flushDB() {
+  if (saveTimer) saveDB();
+}
+
+/** Create a new user (displayName must already be validated and free) */
+export function createUser(email, passwordHash, existingSkins, displayName = null) {
   const defaultSkins = ['default', 'hexagon', 'none', 'dots'];
   const merged = [...new Set([...defaultSkins, ...(existingSkins || [])])];
 
   db.run(
-    'INSERT INTO users (email, password_hash, skins_owned) VALUES (?, ?, ?)',
-    [email, passwordHash, JSON.stringify(merged)]
+    'INSERT INTO users (email, password_hash, skins_owned, display_name, name_key) VALUES (?, ?, ?, ?, ?)',
+    [email, passwordHash, JSON.stringify(merged), displayName, displayName ? nameSkeleton(displayName) : null]
   );
 
   const row = db.exec('SELECT last_insert_rowid() as id')[0];
   const id = row.values[0][0];
   saveDB();
 
-  return { id, email, skins: merged };
+  return { id, email, skins: merged, displayName, role: 'user' };
 }
 
 /** Look up user by email */
 export function getUserByEmail(email) {
-  const stmt = db.prepare('SELECT id, email, password_hash, skins_owned FROM users WHERE email = ?');
+  const stmt = db.prepare('SELECT id, email, password_hash, skins_owned, role, display_name FROM users WHERE email = ?');
   stmt.bind([email]);
   if (stmt.step()) {
     const row = stmt.getAsObject();
@@ -87,6 +177,8 @@ export function getUserByEmail(email) {
       email: row.email,
       password_hash: row.password_hash,
       skins: JSON.parse(row.skins_owned),
+      role: row.role,
+      displayName: row.display_name,
     };
   }
   stmt.free();
@@ -95,7 +187,7 @@ export function getUserByEmail(email) {
 
 /** Look up user by ID */
 export function getUserById(id) {
-  const stmt = db.prepare('SELECT id, email, skins_owned FROM users WHERE id = ?');
+  const stmt = db.prepare('SELECT id, email, skins_owned, role, display_name, created_at FROM users WHERE id = ?');
   stmt.bind([id]);
   if (stmt.step()) {
     const row = stmt.getAsObject();
@@ -104,12 +196,34 @@ export function getUserById(id) {
       id: row.id,
       email: row.email,
       skins: JSON.parse(row.skins_owned),
+      role: row.role,
+      displayName: row.display_name,
+      createdAt: row.created_at,
     };
   }
   stmt.free();
   return null;
 }
 
+/** Account id owning a display name with this skeleton (see names.js), or null */
+export function getUserIdByNameKey(nameKey) {
+  if (!nameKey || !db) return null; // no accounts to reserve names for while the database is unavailable
+  const stmt = db.prepare('SELECT id FROM users WHERE name_key = ?');
+  stmt.bind([nameKey]);
+  const id = stmt.step() ? stmt.getAsObject().id : null;
+  stmt.free();
+  return id;
+}
+
+/** Set a user's display name, returns false if another account already holds it */
+export function setDisplayName(userId, displayName) {
+  const owner = getUserIdByNameKey(nameSkeleton(displayName));
+  if (owner && owner !== userId) return false;
+  db.run('UPDATE users SET display_name = ?, name_key = ? WHERE id = ?', [displayName, nameSkeleton(displayName), userId]);
+  saveDB();
+  return true;
+}
+
 /** Create a session for a user, returns token */
 export function createSession(userId) {
   const token = uuidv4();
@@ -158,3 +272,313 @@ export function addSkinToUser(userId, skinId) {
   saveDB();
   return arr;
 }
+
+/** Set a user's role ('user' or 'admin'), returns false if the user doesn't exist */
+export function setUserRole(userId, role) {
+  if (!getUserById(userId)) return false;
+  db.run('UPDATE users SET role = ? WHERE id = ?', [role, userId]);
+  saveDB();
+  return true;
+}
+
+// ========== BANS ==========
+
+function rowToBan(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    ip: row.ip,
+    namePattern: row.name_pattern,
+    reason: row.reason,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+  };
+}
+
+/**
+ * Create a ban. At least one of userId / ip / namePattern should be set.
+ * @param {object} ban - { userId, ip, namePattern, reason, createdBy, expiresAt (ISO string or null = permanent) }
+ */
+export function createBan({ userId = null, ip = null, namePattern = null, reason = '', createdBy = null, expiresAt = null }) {
+  db.run(
+    'INSERT INTO bans (user_id, ip, name_pattern, reason, created_by, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
+    [userId, ip, namePattern, reason, createdBy, expiresAt]
+  );
+  const id = db.exec('SELECT last_insert_rowid() as id')[0].values[0][0];
+  saveDB();
+  return getBan(id);
+}
+
+/** Look up a ban by id */
+export function getBan(id) {
+  const stmt = db.prepare('SELECT * FROM bans WHERE id = ?');
+  stmt.bind([id]);
+  const ban = stmt.step() ? rowToBan(stmt.getAsObject()) : null;
+  stmt.free();
+  return ban;
+}
+
+/** Delete a ban, returns whether it existed */
+export function deleteBan(id) {
+  if (!getBan(id)) return false;
+  db.run('DELETE FROM bans WHERE id = ?', [id]);
+  saveDB();
+  return true;
+}
+
+/** List bans, newest first (expired ones only when includeExpired) */
+export function listBans(includeExpired = false) {
+  const sql = includeExpired
+    ? 'SELECT * FROM bans ORDER BY id DESC'
+    : 'SELECT * FROM bans WHERE expires_at IS NULL OR expires_at > ? ORDER BY id DESC';
+  const stmt = db.prepare(sql);
+  if (!includeExpired) stmt.bind([new Date().toISOString()]);
+  const bans = [];
+  while (stmt.step()) bans.push(rowToBan(stmt.getAsObject()));
+  stmt.free();
+  return bans;
+}
+
+/** Case-insensitive name match against a ban pattern where * matches anything */
+export function nameMatchesPattern(pattern, name) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i').test(name);
+}
+
+/**
+ * First active ban matching any of the given user id, IP or player name, or null.
+ * Nothing is banned while the database is unavailable (still loading or failed to load).
+ */
+export function findActiveBan({ userId = null, ip = null, name = null }) {
+  if (!db) return null;
+  for (const ban of listBans()) {
+    if (userId && ban.userId === userId) return ban;
+    if (ip && ban.ip === ip) return ban;
+    if (name && ban.namePattern && nameMatchesPattern(ban.namePattern, name)) return ban;
+  }
+  return null;
+}
+
+// ========== RUNS ==========
+
+/** Persist a finished run (see ServerPlayer.getRunSummary), returns its id */
+export function recordRun(userId, run) {
+  db.run(
+    `INSERT INTO runs (user_id, started_at, ended_at, duration_ms, kills, mob_kills, level, score, weapons, evolutions, cause, killer_name, timeline)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      new Date(run.startedAt).toISOString(),
+      new Date(run.endedAt).toISOString(),
+      run.duration,
+      run.kills,
+      run.mobKills,
+      run.level,
+      run.score,
+      JSON.stringify(run.weapons),
+      JSON.stringify(run.evolutions),
+      run.cause,
+      run.killer,
+      run.timeline ? JSON.stringify(run.timeline) : null,
+    ]
+  );
+  const id = db.exec('SELECT last_insert_rowid() as id')[0].values[0][0];
+  scheduleSave();
+  return id;
+}
+
+function rowToRun(row) {
+  return {
+    id: row.id,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    duration: row.duration_ms,
+    kills: row.kills,
+    mobKills: row.mob_kills,
+    level: row.level,
+    score: row.score,
+    weapons: JSON.parse(row.weapons),
+    evolutions: JSON.parse(row.evolutions),
+    cause: row.cause,
+    killer: row.killer_name,
+  };
+}
+
+/**
+ * A user's runs, newest first, keyset-paginated by run id.
+ * @param {number|null} before - only runs with an id below this (the previous page's nextCursor)
+ * @returns {{ runs: object[], nextCursor: number|null }}
+ */
+export function listRuns(userId, { before = null, limit = 20 } = {}) {
+  const stmt = db.prepare(
+    `SELECT id, started_at, ended_at, duration_ms, kills, mob_kills, level, score, weapons, evolutions, cause, killer_name
+     FROM runs WHERE user_id = ? AND id < ? ORDER BY id DESC LIMIT ?`
+  );
+  stmt.bind([userId, before || Number.MAX_SAFE_INTEGER, limit + 1]);
+  const runs = [];
+  while (stmt.step()) runs.push(rowToRun(stmt.getAsObject()));
+  stmt.free();
+
+  const more = runs.length > limit;
+  if (more) runs.pop();
+  return { runs, nextCursor: more ? runs[runs.length - 1].id : null };
+}
+
+/** One run with its timeline, or null */
+export function getRun(id) {
+  const stmt = db.prepare('SELECT * FROM runs WHERE id = ?');
+  stmt.bind([id]);
+  let run = null;
+  if (stmt.step()) {
+    const row = stmt.getAsObject();
+    run = {
+      ...rowToRun(row),
+      userId: row.user_id,
+      timeline: row.timeline ? JSON.parse(row.timeline) : null,
+    };
+  }
+  stmt.free();
+  return run;
+}
+
+/** Distinct evolution keys across a user's finished runs */
+export function getLifetimeEvolutions(userId) {
+  const stmt = db.prepare(
+    `SELECT DISTINCT json_extract(e.value, '$.key') AS evo
+     FROM runs, json_each(runs.evolutions) AS e WHERE runs.user_id = ?`
+  );
+  stmt.bind([userId]);
+  const keys = new Set();
+  while (stmt.step()) keys.add(stmt.getAsObject().evo);
+  stmt.free();
+  return keys;
+}
+
+/** Single-row aggregate query as an object */
+function queryRow(sql, params) {
+  const stmt = db.prepare(sql);
+  stmt.bind(params);
+  const row = stmt.step() ? stmt.getAsObject() : {};
+  stmt.free();
+  return row;
+}
+
+/** Lifetime totals, averages and personal bests over a user's runs */
+export function getCareerStats(userId) {
+  const row = queryRow(
+    `SELECT COUNT(*) AS runs,
+       COALESCE(SUM(duration_ms), 0) AS time_played,
+       COALESCE(SUM(kills), 0) AS kills, COALESCE(SUM(mob_kills), 0) AS mob_kills,
+       COALESCE(SUM(score), 0) AS score, COALESCE(SUM(json_array_length(evolutions)), 0) AS evolutions,
+       COALESCE(AVG(duration_ms), 0) AS avg_duration, COALESCE(AVG(kills), 0) AS avg_kills,
+       COALESCE(AVG(mob_kills), 0) AS avg_mob_kills, COALESCE(AVG(level), 0) AS avg_level,
+       COALESCE(AVG(score), 0) AS avg_score,
+       COALESCE(MAX(duration_ms), 0) AS best_duration, COALESCE(MAX(kills), 0) AS best_kills,
+       COALESCE(MAX(mob_kills), 0) AS best_mob_kills, COALESCE(MAX(level), 0) AS best_level,
+       COALESCE(MAX(score), 0) AS best_score,
+       COALESCE(SUM(cause = 'player'), 0) AS killed_by_players, COALESCE(SUM(cause = 'mob'), 0) AS killed_by_mobs
+     FROM runs WHERE user_id = ?`,
+    [userId]
+  );
+  const round = (n) => Math.round(n * 10) / 10;
+
+  return {
+    runs: row.runs,
+    timePlayed: row.time_played,
+    totals: {
+      kills: row.kills,
+      mobKills: row.mob_kills,
+      score: row.score,
+      evolutions: row.evolutions,
+    },
+    averages: {
+      duration: Math.round(row.avg_duration),
+      kills: round(row.avg_kills),
+      mobKills: round(row.avg_mob_kills),
+      level: round(row.avg_level),
+      score: Math.round(row.avg_score),
+    },
+    bests: {
+      duration: row.best_duration,
+      kills: row.best_kills,
+      mobKills: row.best_mob_kills,
+      level: row.best_level,
+      score: row.best_score,
+    },
+    deaths: {
+      byPlayers: row.killed_by_players,
+      byMobs: row.killed_by_mobs,
+    },
+  };
+}
+
+// ========== ACHIEVEMENTS ==========
+
+/** A user's unlocked achievements: [{ id, unlockedAt }] */
+export function getUnlockedAchievements(userId) {
+  const stmt = db.prepare('SELECT achievement_id, unlocked_at FROM achievements WHERE user_id = ? ORDER BY unlocked_at');
+  stmt.bind([userId]);
+  const unlocked = [];
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    unlocked.push({ id: row.achievement_id, unlockedAt: row.unlocked_at });
+  }
+  stmt.free();
+  return unlocked;
+}
+
+/** Record an unlock, returns false if the user already had it */
+export function unlockAchievement(userId, achievementId) {
+  db.run('INSERT OR IGNORE INTO achievements (user_id, achievement_id) VALUES (?, ?)', [userId, achievementId]);
+  const inserted = db.getRowsModified() > 0;
+  if (inserted) scheduleSave();
+  return inserted;
+}
+
+// ========== RATINGS ==========
+
+/** A user's skill rating: { rating, games } (the default rating before any rated game) */
+export function getRating(userId) {
+  const row = queryRow('SELECT rating, rated_games FROM users WHERE id = ?', [userId]);
+  return {
+    rating: row.rating === null || row.rating === undefined ? SERVER_CONFIG.RATING_DEFAULT : row.rating,
+    games: row.rated_games || 0,
+  };
+}
+
+/** Store new ratings after a rated kill: [{ userId, rating }] (each counts as one more rated game) */
+export function saveRatings(changes) {
+  for (const { userId, rating } of changes) {
+    db.run('UPDATE users SET rating = ?, rated_games = rated_games + 1 WHERE id = ?', [rating, userId]);
+  }
+  scheduleSave();
+}
+
+// ========== SEASONS ==========
+
+/**
+ * Store a finished season's final standings, returns false if it was already archived
+ * @param {object} standings - { metric: [{ name, value }] } in rank order
+ */
+export function archiveSeason(seasonId, standings) {
+  if (queryRow('SELECT COUNT(*) AS n FROM season_archive WHERE season_id = ?', [seasonId]).n > 0) return false;
+  for (const [metric, entries] of Object.entries(standings)) {
+    entries.forEach((entry, i) => {
+      db.run('INSERT INTO season_archive (season_id, metric, rank, name, value) VALUES (?, ?, ?, ?, ?)',
+        [seasonId, metric, i + 1, entry.name, Math.round(entry.value)]);
+    });
+  }
+  saveDB();
+  return true;
+}
+
+/** Archived standings of a season for one metric: [{ rank, name, value }] */
+export function getSeasonStandings(seasonId, metric = 'score') {
+  const stmt = db.prepare('SELECT rank, name, value FROM season_archive WHERE season_id = ? AND metric = ? ORDER BY rank');
+  stmt.bind([seasonId, metric]);
+  const standings = [];
+  while (stmt.step()) standings.push(stmt.getAsObject());
+  stmt.free();
+  return standings;
+}
@@ -7,8 +7,11 @@ import { ServerPlayer } from './player.js';
 import { ServerMobManager } from './mobs.js';
 import { ServerWeapons } from './weapons.js';
 import { SpatialHash, circleCollision, distance, isInSafeZone } from './collision.js';
+import { encodeSnapshot } from '../shared/codec.js';
+import { SERVER_CONFIG } from './config.js';
+import { nameSkeleton } from './names.js';
 
-const BOT_NAMES = [
+export const BOT_NAMES = [
   'Bot_Alex', 'Bot_Sam', 'Bot_Nova', 'Bot_Luna', 'Bot_Kai',
   'Bot_Zara', 'Bot_Rex', 'Bot_Ivy', 'Bot_Leo', 'Bot_Sky',
   'Bot_Ash', 'Bot_Finn', 'Bot_Mia', 'Bot_Jax', 'Bot_Rio',
@@ -67,6 +70,12 @@ export class ServerGame {
     // Spatial hash for collision optimization
     this.spatialHash = new SpatialHash(MAP.GRID_SIZE, MAP.WIDTH, MAP.HEIGHT);
 
+    // Interest management: what each client gets sent
+    this.interestHash = new SpatialHash(MAP.GRID_SIZE * 4, MAP.WIDTH, MAP.HEIGHT);
+    this.clientSnapshots = new Map(); // socketId -> { seq, ackedSeq, acking, forceFull, sends, history }
+    this.socketWire = new Map(); // socketId -> 'binary' | 'json'
+    this.lastMinimapSend = 0;
+
     // Leaderboard
     this.leaderboard = [];
     this.lastLeaderboardSend = 0;
@@ -74,8 +83,17 @@ export class ServerGame {
     // Kill feed
     this.killFeed = [];
 
-    // Callback for persistent leaderboard updates on death
+    // Callback for persistent leaderboard updates on death: (player, runSummary), bots included
     this.onPlayerDeath = null;
+    // Callbacks for the anti-abuse monitor: (player, input) and (killer, victim)
+    this.onPlayerInput = null;
+    this.onPlayerKill = null;
+    // Called with (player, event, data) for achievement-relevant events of real players
+    // ('kill', 'mobKill', 'levelUp', 'evolution'; see achievements.js)
+    this.onPlayerEvent = null;
+    // Called with (player, runSummary) when a real player's run ends (death or leaving alive);
+    // returns the stored run id, passed on to the death screen
+    this.onRunEnd = null;
 
     // Level-up state: playerId -> { options: [...], pending: number }
     this.levelUpState = new Map();
@@ -93,7 +111,7 @@ export class ServerGame {
 
   /** Start the game loops */
   start() {
-    console.log(`[${new Date().toISOString()}] Game simulation started`);
+    console.log(`[${new Date().toISOString()}] Game simulation started${this.roomId ? ` (${this.roomId})` : ''}`);
 
     // Main game loop at 60 ticks/sec
     this.tickInterval = setInterval(() => {
@@ -149,18 +167,23 @@ export class ServerGame {
     const playerId = this.socketToPlayer.get(socketId);
     if (!playerId) return;
 
+    this._detachSocket(socketId);
+    this.removePlayerById(playerId);
+  }
+
+  /** Remove a real player that may no longer have a socket (parked player timing out) */
+  removePlayerById(playerId) {
     const player = this.players.get(playerId);
     if (player) {
       // Drop XP orbs on disconnect
       if (player.alive && player.score > 0) {
         this._dropXPOrbs(player);
       }
+      if (player.alive) this._endRun(player, player.getRunSummary('left'));
       console.log(`[${new Date().toISOString()}] Player left: ${player.name} (${player.id})`);
     }
 
     this.players.delete(playerId);
-    this.socketToPlayer.delete(socketId);
-    this.playerToSocket.delete(playerId);
     this.playerWeapons.delete(playerId);
     this.levelUpState.delete(playerId);
 
@@ -168,6 +191,76 @@ export class ServerGame {
     this._manageBots();
   }
 
+  /**
+   * Client connection dropped: keep the player in the world, invulnerable and idle,
+   * but stop sending to the socket. Returns the parked player's id.
+   */
+  parkPlayer(socketId) {
+    const playerId = this.socketToPlayer.get(socketId);
+    if (!playerId) return null;
+    const player = this.players.get(playerId);
+    if (player) {
+      player.parked = true;
+      player.moving = false;
+      console.log(`[${new Date().toISOString()}] Player parked: ${player.name} (${player.id})`);
+    }
+    this._detachSocket(socketId);
+    return playerId;
+  }
+
+  /** Reattach a parked player to a new socket. Returns the player or null if it's gone. */
+  resumePlayer(socketId, playerId) {
+    const player = this.players.get(playerId);
+    if (!player) return null;
+
+    player.parked = false;
+    this.socketToPlayer.set(socketId, playerId);
+    this.playerToSocket.set(playerId, socketId);
+
+    // Level-up choices offered before the drop are still waiting
+    const state = this.levelUpState.get(playerId);
+    if (state && state.pending > 0) {
+      this.io.to(socketId).emit('levelUp', { options: state.options });
+    }
+
+    console.log(`[${new Date().toISOString()}] Player resumed: ${player.name} (${player.id})`);
+    return player;
+  }
+
+  /** Forget a socket's bindings and per-client snapshot state */
+  _detachSocket(socketId) {
+    const playerId = this.socketToPlayer.get(socketId);
+    this.socketToPlayer.delete(socketId);
+    if (playerId) this.playerToSocket.delete(playerId);
+    this.clientSnapshots.delete(socketId);
+    this.socketWire.delete(socketId);
+  }
+
+  /** Whether another player (bots included) already goes by a name that reads the same */
+  isNameTaken(name, exceptSocketId = null) {
+    const skeleton = nameSkeleton(name);
+    const exceptId = exceptSocketId ? this.socketToPlayer.get(exceptSocketId) : null;
+    for (const [id, p] of this.players) {
+      if (id !== exceptId && nameSkeleton(p.name) === skeleton) return true;
+    }
+    return false;
+  }
+
+  /** Real players with a live socket: [{ socketId, player }] */
+  getConnectedPlayers() {
+    const out = [];
+    for (const [playerId, socketId] of this.playerToSocket) {
+      const player = this.players.get(playerId);
+      if (player) out.push({ socketId, player });
+    }
+    return out;
+  }
+
+  /** Choose how gameState is encoded for a socket ('binary' or 'json') */
+  setWireFormat(socketId, wire) {
+    this.socketWire.set(socketId, wire === 'binary' ? 'binary' : 'json');
+  }
+
   /** Handle player input */
   handleInput(socketId, data) {
     const playerId = this.socketToPlayer.get(socketId);
@@ -182,6 +275,34 @@ export class ServerGame {
     if (data.moving === false) {
       player.moving = false;
     }
+    if (typeof data.seq === 'number' && data.seq > player.lastInputSeq) {
+      player.lastInputSeq = data.seq;
+    }
+
+    if (this.onPlayerInput) this.onPlayerInput(player, data);
+  }
+
+  /** Client acknowledged receiving snapshot `sq`; future deltas are built against it */
+  handleAck(socketId, data) {
+    const client = this.clientSnapshots.get(socketId);
+    if (!client || !data || typeof data.sq !== 'number') return;
+    if (data.sq > client.ackedSeq && data.sq <= client.seq) {
+      client.ackedSeq = data.sq;
+      client.acking = true;
+    }
+  }
+
+  /** Client lost track of its baseline; send a full snapshot next */
+  handleResync(socketId) {
+    const client = this.clientSnapshots.get(socketId);
+    if (client) client.forceFull = true;
+  }
+
+  /** Record a client's measured round-trip time on its player */
+  recordLatency(socketId, rtt) {
+    const playerId = this.socketToPlayer.get(socketId);
+    const player = playerId ? this.players.get(playerId) : null;
+    if (player) player.rtt = rtt;
   }
 
   /** Handle level up choice */
@@ -199,6 +320,7 @@ export class ServerGame {
 
     const option = state.options[choiceIndex];
     player.applyLevelUpChoice(option);
+    if (option.type === 'evolution') this._playerEvent(player, 'evolution', { key: option.key });
 
     // Re-init weapon state if new weapon was added
     const weapons = this.playerWeapons.get(playerId);
@@ -237,13 +359,15 @@ export class ServerGame {
     this.levelUpState.delete(playerId);
   }
 
-  /** Link a playing socket to a user account (guest → registered) */
-  linkPlayerToAccount(socketId, userId) {
+  /** Link a playing socket to a user account (guest → registered); verified = playing under its display name */
+  linkPlayerToAccount(socketId, userId, verified = false, rating = null) {
     const playerId = this.socketToPlayer.get(socketId);
     if (!playerId) return;
     const player = this.players.get(playerId);
     if (player) {
       player.userId = userId;
+      player.verified = verified;
+      player.rating = rating;
     }
   }
 
@@ -597,7 +721,7 @@ export class ServerGame {
 
     // Process weapons for each alive player
     for (const player of alivePlayers) {
-      if (player.pendingLevelUp) continue; // Paused for level-up
+      if (player.pendingLevelUp || player.parked) continue; // Paused for level-up / reconnect
 
       const weapons = this.playerWeapons.get(player.id);
       if (!weapons) continue;
@@ -620,7 +744,8 @@ export class ServerGame {
         if (hit.type === 'mob') {
           const killed = hit.target.takeDamage(hit.damage);
           if (killed) {
-            player.kills++;
+            player.recordMobKill();
+            this._playerEvent(player, 'mobKill');
             // Spawn XP orbs from mob
             this._spawnMobOrbs(hit.target);
           }
@@ -670,7 +795,7 @@ export class ServerGame {
 
   _processMobContactDamage(now, players) {
     for (const player of players) {
-      if (!player.alive || player.immunity > 0) continue;
+      if (!player.alive || player.immunity > 0 || player.parked) continue;
 
       const nearbyMobs = this.spatialHash.query(player.x, player.y, player.radius + 50)
         .filter(e => e.id && e.id.startsWith('m') && !e.dead);
@@ -796,6 +921,8 @@ export class ServerGame {
   // ========== LEVEL UP ==========
 
   _triggerLevelUp(player, count) {
+    this._playerEvent(player, 'levelUp', { level: player.level });
+
     let state = this.levelUpState.get(player.id);
     if (state) {
       state.pending += count;
@@ -821,19 +948,31 @@ export class ServerGame {
   // ========== DEATH & KILLS ==========
 
   _onPlayerKill(killer, victim) {
-    killer.kills++;
+    killer.recordPlayerKill(victim);
+    this._playerEvent(killer, 'kill', { victim });
+    const run = victim.getRunSummary('player', killer.name);
+    const runId = this._endRun(victim, run);
+
+    if (this.onPlayerKill && !killer.isBot && !victim.isBot) {
+      this.onPlayerKill(killer, victim);
+    }
 
     // Drop XP orbs
     this._dropXPOrbs(victim);
 
     // Kill feed
-    const feedEntry = { killer: killer.name, victim: victim.name };
+    const feedEntry = {
+      killer: killer.name,
+      victim: victim.name,
+      killerVerified: killer.verified,
+      victimVerified: victim.verified,
+    };
     this.killFeed.push(feedEntry);
-    this.io.emit('killFeed', feedEntry);
+    this._broadcast('killFeed', feedEntry);
 
     // Record to persistent leaderboard
     if (this.onPlayerDeath) {
-      this.onPlayerDeath(victim.name, victim.score, victim.level, victim.userId || null);
+      this.onPlayerDeath(victim, run);
     }
 
     // Send death to victim
@@ -845,6 +984,7 @@ export class ServerGame {
         const secs = Math.floor((elapsed % 60000) / 1000);
         this.io.to(socketId).emit('death', {
           killerName: killer.name,
+          runId,
           stats: {
             time: `${mins}m ${secs}s`,
             kills: victim.kills,
@@ -857,18 +997,21 @@ export class ServerGame {
   }
 
   _onPlayerKilledByMob(player) {
+    const run = player.getRunSummary('mob');
+    const runId = this._endRun(player, run);
+
     // Drop XP orbs
     this._dropXPOrbs(player);
 
     // Record to persistent leaderboard
     if (this.onPlayerDeath) {
-      this.onPlayerDeath(player.name, player.score, player.level, player.userId || null);
+      this.onPlayerDeath(player, run);
     }
 
     // Kill feed
-    const feedEntry = { killer: 'a mob', victim: player.name };
+    const feedEntry = { killer: 'a mob', victim: player.name, killerVerified: false, victimVerified: player.verified };
     this.killFeed.push(feedEntry);
-    this.io.emit('killFeed', feedEntry);
+    this._broadcast('killFeed', feedEntry);
 
     // Send death
     if (!player.isBot) {
@@ -879,6 +1022,7 @@ export class ServerGame {
         const secs = Math.floor((elapsed % 60000) / 1000);
         this.io.to(socketId).emit('death', {
           killerName: null,
+          runId,
           stats: {
             time: `${mins}m ${secs}s`,
             kills: player.kills,
@@ -890,6 +1034,18 @@ export class ServerGame {
     }
   }
 
+  /** Forward a game event of a real player (achievement tracking) */
+  _playerEvent(player, event, data) {
+    if (player.isBot || !this.onPlayerEvent) return;
+    this.onPlayerEvent(player, event, data);
+  }
+
+  /** Report a finished run of a real player, returns the recorded run id (null for guests/bots) */
+  _endRun(player, run) {
+    if (player.isBot || !this.onRunEnd) return null;
+    return this.onRunEnd(player, run) || null;
+  }
+
   // ========== LEADERBOARD ==========
 
   _updateLeaderboard() {
@@ -900,60 +1056,154 @@ export class ServerGame {
           name: player.name,
           score: player.score,
           level: player.level,
+          verified: player.verified,
         });
       }
     }
     entries.sort((a, b) => b.score - a.score);
     this.leaderboard = entries.slice(0, 10);
-    this.io.emit('leaderboard', { top10: this.leaderboard });
+    this._broadcast('leaderboard', { top10: this.leaderboard });
   }
 
-  // ========== SEND STATE (Delta Compression) ==========
+  // ========== SEND STATE (Interest Management + Delta Compression) ==========
 
   sendState() {
-    // Serialize current state
-    const playerData = [];
-    for (const [, player] of this.players) {
-      playerData.push(player.serialize());
+    // Serialize every entity once, then bucket it for per-client interest queries
+    this.interestHash.clear();
+    const track = (kind, data) => {
+      this.interestHash.insert({
+        kind,
+        data,
+        x: Math.max(0, Math.min(MAP.WIDTH - 1, data.x)),
+        y: Math.max(0, Math.min(MAP.HEIGHT - 1, data.y)),
+      });
+    };
+
+    const playerData = new Map(); // playerId -> serialized (viewers always see themselves)
+    for (const [id, player] of this.players) {
+      const data = player.serialize();
+      playerData.set(id, data);
+      track('p', data);
+    }
+    for (const data of this.mobManager.serializeAll()) track('m', data);
+    for (const o of this.orbs) {
+      track('o', {
+        i: o.id,
+        x: Math.round(o.x),
+        y: Math.round(o.y),
+        am: o.amount,
+        r: Math.round(o.radius),
+      });
+    }
+    for (const pr of this.projectiles) track('pr', pr);
+
+    for (const [playerId, socketId] of this.playerToSocket) {
+      const viewer = this.players.get(playerId);
+      if (!viewer) continue;
+      this._sendClientState(socketId, viewer, playerData.get(playerId));
+    }
+
+    // Coarse whole-map view for the minimap, at a much lower rate
+    const now = Date.now();
+    if (now - this.lastMinimapSend >= SERVER_CONFIG.MINIMAP_SEND_INTERVAL) {
+      this.lastMinimapSend = now;
+      this._sendMinimap();
+    }
+  }
+
+  /** Build and emit one client's snapshot: entities near its player, delta against what it was last sent */
+  _sendClientState(socketId, viewer, viewerData) {
+    const radius = SERVER_CONFIG.INTEREST_RADIUS;
+    const radiusSq = radius * radius;
+    const visible = { p: [viewerData], m: [], o: [], pr: [] };
+
+    for (const entry of this.interestHash.query(viewer.x, viewer.y, radius)) {
+      if (entry.data === viewerData) continue;
+      const dx = entry.x - viewer.x;
+      const dy = entry.y - viewer.y;
+      if (dx * dx + dy * dy <= radiusSq) visible[entry.kind].push(entry.data);
+    }
+
+    let client = this.clientSnapshots.get(socketId);
+    if (!client) {
+      client = { seq: 0, ackedSeq: 0, acking: false, forceFull: false, sends: 0, history: new Map() };
+      this.clientSnapshots.set(socketId, client);
     }
-    const mobData = this.mobManager.serializeAll();
-    const orbData = this.orbs.map(o => ({
-      i: o.id,
-      x: Math.round(o.x),
-      y: Math.round(o.y),
-      am: o.amount,
-      r: Math.round(o.radius),
-    }));
 
-    // Compute deltas against previous state
-    const sendCount = this.tickCount;
-    const isFull = !this._prevState || sendCount % 100 === 0; // Full snapshot every ~5 sec
+    // Baseline: the last snapshot this client acknowledged. Clients that never ack
+    // (older clients, test bots) get deltas against the last snapshot sent plus periodic full ones.
+    let baseSeq = 0;
+    if (client.acking) {
+      baseSeq = client.ackedSeq;
+    } else if (client.sends % SERVER_CONFIG.FULL_SNAPSHOT_INTERVAL !== 0) {
+      baseSeq = client.seq;
+    }
+    const baseline = client.forceFull ? null : client.history.get(baseSeq);
 
+    const seq = ++client.seq;
+    const time = Date.now();
     let gameState;
-    if (isFull) {
+    if (!baseline) {
       gameState = {
         full: true,
-        p: playerData,
-        m: mobData,
-        pr: this.projectiles,
-        o: orbData,
+        sq: seq,
+        in: viewer.lastInputSeq,
+        t: time,
+        tk: this.tickCount,
+        p: visible.p,
+        m: visible.m,
+        pr: visible.pr,
+        o: visible.o,
       };
     } else {
       gameState = {
-        p: this._computeDelta(this._prevState.p, playerData),
-        m: this._computeDelta(this._prevState.m, mobData),
-        pr: this.projectiles, // projectiles always full
-        o: this._computeDelta(this._prevState.o, orbData),
+        sq: seq,
+        bs: baseSeq,
+        in: viewer.lastInputSeq,
+        t: time,
+        tk: this.tickCount,
+        p: this._computeDelta(baseline.p, visible.p),
+        m: this._computeDelta(baseline.m, visible.m),
+        pr: visible.pr, // projectiles always full
+        o: this._computeDelta(baseline.o, visible.o),
       };
     }
 
-    // Store for next delta
-    this._prevState = { p: playerData, m: mobData, o: orbData };
+    // Keep recent snapshots so later deltas can be built against whatever gets acked
+    client.history.set(seq, { p: visible.p, m: visible.m, o: visible.o });
+    client.history.delete(seq - SERVER_CONFIG.SNAPSHOT_HISTORY);
+    client.forceFull = false;
+    client.sends++;
+
+    const payload = this.socketWire.get(socketId) === 'binary' ? encodeSnapshot(gameState) : gameState;
+    this.io.to(socketId).emit('gameState', payload);
+  }
 
-    this.io.emit('gameState', gameState);
+  /** Low-rate coarse positions of every alive player and mob, for the minimap */
+  _sendMinimap() {
+    const coarse = (v, step) => Math.round(v / step) * step;
+    const players = [];
+    for (const [, player] of this.players) {
+      if (!player.alive) continue;
+      players.push({
+        i: player.id,
+        x: coarse(player.x, 10),
+        y: coarse(player.y, 10),
+        c: player.color,
+        al: true,
+      });
+    }
+    const mobs = [];
+    for (const mob of this.mobManager.mobs) {
+      if (!mob.dead) mobs.push({ x: coarse(mob.x, 50), y: coarse(mob.y, 50) });
+    }
+    this._broadcast('minimap', { p: players, m: mobs });
   }
 
-  /** Compute delta between previous and current entity arrays */
+  /**
+   * Compute delta between previous and current entity arrays.
+   * New entities are sent whole; existing ones only carry the fields that changed.
+   */
   _computeDelta(prev, current) {
     if (!prev) return current;
 
@@ -965,8 +1215,11 @@ export class ServerGame {
     // Changed or new entities
     for (const e of current) {
       const p = prevMap.get(e.i);
-      if (!p || e.x !== p.x || e.y !== p.y || e.h !== p.h || e.al !== p.al || e.l !== p.l) {
+      if (!p) {
         delta.push(e);
+      } else {
+        const changed = this._diffFields(p, e);
+        if (changed) delta.push(changed);
       }
       prevMap.delete(e.i);
     }
@@ -979,8 +1232,37 @@ export class ServerGame {
     return delta;
   }
 
+  /** Fields of `cur` that differ from `prev` (plus the id), or null if nothing changed */
+  _diffFields(prev, cur) {
+    let changed = null;
+    for (const key in cur) {
+      if (key === 'i') continue;
+      const a = prev[key];
+      const b = cur[key];
+      const same = Array.isArray(b)
+        ? Array.isArray(a) && a.length === b.length && a.every((v, idx) => v === b[idx])
+        : a === b;
+      if (!same) {
+        if (!changed) changed = { i: cur.i };
+        changed[key] = b;
+      }
+    }
+    return changed;
+  }
+
   // ========== UTILITY ==========
 
+  /** Emit to every socket in this game's room (or everyone if unscoped) */
+  _broadcast(event, data) {
+    const target = this.roomId ? this.io.to(this.roomId) : this.io;
+    target.emit(event, data);
+  }
+
+  /** Broadcast this room's player count */
+  broadcastPlayerCount() {
+    this._broadcast('playerCount', { count: this.getPlayerCount() });
+  }
+
   getPlayerCount() {
     return this.players.size;
   }
@@ -988,4 +1270,45 @@ export class ServerGame {
   getRealPlayerCount() {
     return this._getRealPlayerCount();
   }
+
+  getBotCount() {
+    return this.bots.size;
+  }
+
+  /** Average skill rating of the rated players in this game, or null if there are none */
+  getAverageRating() {
+    let total = 0;
+    let count = 0;
+    for (const [, player] of this.players) {
+      if (player.rating === null) continue;
+      total += player.rating;
+      count++;
+    }
+    return count > 0 ? total / count : null;
+  }
+
+  /** Highest current score in this game (0 if empty) */
+  getTopScore() {
+    let top = 0;
+    for (const [, player] of this.players) {
+      if (player.score > top) top = player.score;
+    }
+    return top;
+  }
+
+  /** Everyone currently in this game (for room occupant listings) */
+  getOccupants() {
+    const occupants = [];
+    for (const [, player] of this.players) {
+      occupants.push({
+        name: player.name,
+        level: player.level,
+        score: player.score,
+        alive: player.alive,
+        isBot: player.isBot,
+        rtt: player.isBot ? null : player.rtt,
+      });
+    }
+    return occupants;
+  }
 }
@@ -0,0 +1,260 @@
+// Socket event guard — payload validation and rate limiting for every client event
+// Each event has a schema and a token bucket per socket; all sockets from one IP also share a bucket
+// Violations escalate: the event is dropped, then the client is warned, then disconnected
+
+import { SERVER_CONFIG } from './config.js';
+
+/** Token bucket: refills `rate` tokens per second up to `burst` */
+export class TokenBucket {
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.last = Date.now();
+  }
+
+  /** Take one token, returns false if the bucket is empty */
+  take(now = Date.now()) {
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.last) / 1000 * this.rate);
+    this.last = now;
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+}
+
+// ========== SCHEMAS ==========
+
+const str = (max) => ({ type: 'string', max });
+const num = (min, max) => ({ type: 'number', min, max });
+const int = (min, max) => ({ type: 'integer', min, max });
+const bool = () => ({ type: 'boolean' });
+const strMap = (max) => ({ type: 'strMap', max }); // flat object of short strings (skin choices)
+const optional = (spec) => ({ ...spec, optional: true });
+
+/**
+ * Rules per client event.
+ *   rate/burst  per-socket token bucket (events per second / max burst)
+ *   schema      allowed payload fields; null means the event carries no payload
+ *   weight      violation points for a malformed payload (rate-limit drops always count 1)
+ */
+const EVENT_RULES = {
+  join: {
+    rate: 1, burst: 3,
+    schema: {
+      name: optional(str(64)), skin: optional(strMap(32)), code: optional(str(16)), roomId: optional(str(32)),
+      region: optional(str(8)), mode: optional(str(16)), partySize: optional(int(1, 100)),
+    },
+  },
+  createRoom: {
+    rate: 0.2, burst: 2,
+    schema: { name: optional(str(64)), skin: optional(strMap(32)), maxPlayers: optional(int(1, 1000)), locked: optional(bool()) },
+  },
+  roomSettings: {
+    rate: 2, burst: 5,
+    schema: { locked: optional(bool()), maxPlayers: optional(int(1, 1000)) },
+  },
+  resume: {
+    rate: 0.5, burst: 3,
+    schema: { token: str(64) },
+  },
+  input: {
+    rate: 30, burst: 30,
+    schema: { seq: optional(int(0, Number.MAX_SAFE_INTEGER)), angle: optional(num(-10, 10)), moving: optional(bool()) },
+  },
+  ack: {
+    rate: 30, burst: 40,
+    schema: { sq: int(0, 0xffffffff) },
+  },
+  resync: { rate: 2, burst: 5, schema: null },
+  clockPing: {
+    rate: 2, burst: 5,
+    schema: { id: int(0, Number.MAX_SAFE_INTEGER), t: optional(num(0, Number.MAX_VALUE)), rtt: optional(num(0, 1e6)) },
+  },
+  levelUp: {
+    rate: 10, burst: 10,
+    schema: { choice: int(0, 9) },
+  },
+  respawn: { rate: 1, burst: 3, schema: null },
+};
+
+const INVALID_WEIGHT = 5;
+
+function checkField(spec, value) {
+  switch (spec.type) {
+    case 'string': return typeof value === 'string' && value.length <= spec.max;
+    case 'number': return typeof value === 'number' && Number.isFinite(value) && value >= spec.min && value <= spec.max;
+    case 'integer': return Number.isInteger(value) && value >= spec.min && value <= spec.max;
+    case 'boolean': return typeof value === 'boolean';
+    case 'strMap': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+      const entries = Object.entries(value);
+      return entries.length <= 16 && entries.every(([, v]) => v === null || (typeof v === 'string' && v.length <= spec.max));
+    }
+  }
+  return false;
+}
+
+/** Check a payload against an event schema, returns an error string or null if valid */
+export function validatePayload(schema, data) {
+  if (schema === null) return null; // Payload ignored
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return 'payload must be an object';
+
+  for (const key of Object.keys(data)) {
+    if (!schema[key]) return `unexpected field "${key}"`;
+  }
+  for (const [key, spec] of Object.entries(schema)) {
+    const value = data[key];
+    if (value === undefined || value === null) {
+      if (!spec.optional) return `missing field "${key}"`;
+      continue;
+    }
+    if (!checkField(spec, value)) return `bad field "${key}"`;
+  }
+  return null;
+}
+
+// ========== GUARD ==========
+
+/** Rightmost X-Forwarded-For entry (added by our one trusted proxy), else the socket address */
+export function getSocketIP(socket) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (typeof forwarded === 'string' && forwarded.length > 0) {
+    const parts = forwarded.split(',');
+    return parts[parts.length - 1].trim();
+  }
+  return socket.handshake.address;
+}
+
+export class EventGuard {
+  constructor() {
+    this.sockets = new Map(); // socketId -> { ip, buckets, score, lastViolation, warned, counts }
+    this.ips = new Map();     // ip -> { bucket, sockets }
+
+    // Inspectable counters since startup
+    this.stats = {
+      events: {},     // event -> { accepted, invalid, limited }
+      warnings: 0,
+      disconnects: 0,
+    };
+    for (const event of Object.keys(EVENT_RULES)) {
+      this.stats.events[event] = { accepted: 0, invalid: 0, limited: 0 };
+    }
+  }
+
+  /** Start tracking a socket */
+  attach(socket) {
+    const ip = getSocketIP(socket);
+    let ipState = this.ips.get(ip);
+    if (!ipState) {
+      ipState = { bucket: new TokenBucket(SERVER_CONFIG.GUARD_IP_RATE, SERVER_CONFIG.GUARD_IP_BURST), sockets: 0 };
+      this.ips.set(ip, ipState);
+    }
+    ipState.sockets++;
+
+    const buckets = {};
+    for (const [event, rule] of Object.entries(EVENT_RULES)) {
+      buckets[event] = new TokenBucket(rule.rate, rule.burst);
+    }
+    this.sockets.set(socket.id, { ip, buckets, score: 0, lastViolation: 0, warned: false, counts: { invalid: 0, limited: 0 } });
+  }
+
+  /** Stop tracking a socket */
+  detach(socketId) {
+    const state = this.sockets.get(socketId);
+    if (!state) return;
+    this.sockets.delete(socketId);
+
+    const ipState = this.ips.get(state.ip);
+    if (ipState && --ipState.sockets <= 0) this.ips.delete(state.ip);
+  }
+
+  /**
+   * Register a guarded handler: the payload is validated and rate-limited before `handler` runs.
+   * Handler exceptions are logged with the event name so individual handlers don't need try/catch.
+   */
+  on(socket, event, handler) {
+    const rule = EVENT_RULES[event];
+    if (!rule) throw new Error(`No guard rule for event "${event}"`);
+
+    socket.on(event, (data) => {
+      if (!this._admit(socket, event, rule, data)) return;
+      try {
+        handler(data);
+      } catch (err) {
+        console.error(`[${new Date().toISOString()}] ${event} error:`, err);
+      }
+    });
+  }
+
+  /** Validate + rate limit one event; applies penalties and returns whether to handle it */
+  _admit(socket, event, rule, data) {
+    const state = this.sockets.get(socket.id);
+    if (!state) return false;
+    const counters = this.stats.events[event];
+    const now = Date.now();
+
+    const ipState = this.ips.get(state.ip);
+    if (!state.buckets[event].take(now) || (ipState && !ipState.bucket.take(now))) {
+      counters.limited++;
+      state.counts.limited++;
+      this._penalize(socket, state, 1, `rate limit on ${event}`, now);
+      return false;
+    }
+
+    const error = validatePayload(rule.schema, data);
+    if (error) {
+      counters.invalid++;
+      state.counts.invalid++;
+      this._penalize(socket, state, INVALID_WEIGHT, `${event}: ${error}`, now);
+      return false;
+    }
+
+    counters.accepted++;
+    return true;
+  }
+
+  /** Escalate: points decay over time; warn once past the warn threshold, disconnect past the limit */
+  _penalize(socket, state, points, reason, now) {
+    const decay = (now - state.lastViolation) / 1000 * SERVER_CONFIG.GUARD_SCORE_DECAY;
+    state.score = Math.max(0, state.score - decay) + points;
+    state.lastViolation = now;
+
+    if (state.score >= SERVER_CONFIG.GUARD_DISCONNECT_SCORE) {
+      this.stats.disconnects++;
+      console.log(`[${new Date().toISOString()}] Guard: disconnecting ${socket.id} (${state.ip}): ${reason}`);
+      socket.emit('warning', { message: 'Disconnected for sending too many invalid requests' });
+      socket.disconnect(true);
+      return;
+    }
+
+    if (state.score >= SERVER_CONFIG.GUARD_WARN_SCORE) {
+      if (!state.warned) {
+        state.warned = true;
+        this.stats.warnings++;
+        console.log(`[${new Date().toISOString()}] Guard: warning ${socket.id} (${state.ip}): ${reason}`);
+        socket.emit('warning', { message: 'Slow down: too many requests' });
+      }
+    } else {
+      state.warned = false;
+    }
+  }
+
+  /** Counters for diagnostics */
+  getStats() {
+    const offenders = [];
+    for (const [socketId, state] of this.sockets) {
+      if (state.counts.invalid > 0 || state.counts.limited > 0) {
+        offenders.push({ socketId, ip: state.ip, score: Math.round(state.score), ...state.counts });
+      }
+    }
+    offenders.sort((a, b) => b.score - a.score);
+
+    return {
+      ...this.stats,
+      sockets: this.sockets.size,
+      ips: this.ips.size,
+      offenders: offenders.slice(0, 20),
+    };
+  }
+}
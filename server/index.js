@@ -1,6 +1,6 @@
 // Express + Socket.io server entry point
 // Serves static files and manages WebSocket connections
-// Delegates game logic to ServerGame
+// Delegates game logic to per-room ServerGame instances via RoomManager
 
 import 'dotenv/config';
 import express from 'express';
@@ -8,10 +8,19 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { ServerGame } from './game.js';
-import { initRedis, Leaderboard } from './leaderboard.js';
-import { initDB, getUserById } from './db.js';
-import { createAuthRouter, getSessionUser } from './auth.js';
+import { RoomManager } from './rooms.js';
+import { SERVER_CONFIG } from './config.js';
+import { initRedis, Leaderboard, PERIODS, METRICS, periodWindow } from './leaderboard.js';
+import { initDB, flushDB, findActiveBan, recordRun, archiveSeason, getSeasonStandings, getRating } from './db.js';
+import {
+  createAuthRouter, getSessionUser, authenticateSocket, describeBan, checkPlayerName,
+} from './auth.js';
+import { createAdminRouter } from './admin.js';
+import { createStatsRouter } from './stats.js';
+import { EventGuard, getSocketIP } from './guard.js';
+import { AbuseMonitor } from './abuse.js';
+import { AchievementTracker } from './achievements.js';
+import { recordRatedKill } from './rating.js';
 
 // Payment system: planned for future (in-game currency)
 
@@ -32,6 +41,15 @@ const io = new Server(server, {
 
 const PORT = process.env.PORT || 4000;
 
+// Payload validation + rate limiting for socket events
+const guard = new EventGuard();
+
+// Suspicious-behaviour scoring (reviewed through the admin API)
+const abuse = new AbuseMonitor();
+
+// Achievement unlocks for logged-in players
+const achievements = new AchievementTracker();
+
 // Serve static files
 app.use(express.static(path.join(__dirname, '..', 'client')));
 app.use('/shared', express.static(path.join(__dirname, '..', 'shared')));
@@ -42,105 +60,413 @@ app.use(express.json());
 // Auth routes
 app.use('/api', createAuthRouter());
 
-// Skin shop: coming soon (in-game currency planned)
+// Career stats for logged-in players
+app.use('/api', createStatsRouter());
 
-// Initialize databases
-initDB().catch(err => console.error('[DB] Init failed:', err.message));
-initRedis().catch(() => {});
+// Skin shop: coming soon (in-game currency planned)
 
-// Persistent leaderboard (best scores across sessions)
+// Persistent leaderboards (best per-run values across sessions, per metric: all-time, season, weekly, daily)
 const persistentLeaderboard = new Leaderboard();
+persistentLeaderboard.onSeasonEnd = (seasonId, standings) => {
+  if (archiveSeason(seasonId, standings)) {
+    console.log(`[${new Date().toISOString()}] Season ${seasonId} archived (${Object.keys(standings).join(', ')})`);
+  }
+};
 
-// GET leaderboard for menu display
+// Initialize databases (season rollover needs both)
+Promise.all([
+  initDB().catch(err => console.error('[DB] Init failed:', err.message)),
+  initRedis().catch(() => {}),
+]).then(() => persistentLeaderboard.startRollover());
+
+/** Validate ?metric=&period= of the leaderboard routes (answers 400 and returns null when invalid) */
+function leaderboardQuery(req, res) {
+  const metric = req.query.metric || 'score';
+  const period = req.query.period || 'all';
+  if (!Object.hasOwn(METRICS, metric)) {
+    res.status(400).json({ error: `metric must be one of: ${Object.keys(METRICS).join(', ')}` });
+    return null;
+  }
+  if (!PERIODS.includes(period)) {
+    res.status(400).json({ error: `period must be one of: ${PERIODS.join(', ')}` });
+    return null;
+  }
+  return { metric, period };
+}
+
+// GET leaderboard for menu display (?metric=score|kills|mobKills|survival|level|firstEvolution&period=all|season|weekly|daily)
+// A finished season's final standings: ?period=season&season=<id>
 app.get('/api/leaderboard', async (req, res) => {
+  const query = leaderboardQuery(req, res);
+  if (!query) return;
+  const { metric, period } = query;
+  const window = periodWindow(period);
+  if (period === 'season' && req.query.season !== undefined && req.query.season !== window.id) {
+    const season = String(req.query.season);
+    try {
+      const top = /^\d{1,6}$/.test(season) ? getSeasonStandings(season, metric).slice(0, 10) : [];
+      if (top.length === 0) return res.status(404).json({ error: 'Season not found' });
+      return res.json({ metric, period, window: season, endsAt: null, archived: true, top });
+    } catch (err) {
+      return res.status(500).json({ top: [] });
+    }
+  }
   try {
-    const top = await persistentLeaderboard.getTop(10);
-    res.json({ top });
+    const top = await persistentLeaderboard.getTop(10, metric, period);
+    res.json({ metric, period, window: window.id, endsAt: window.endsAt, top });
   } catch (err) {
     res.status(500).json({ top: [] });
   }
 });
 
-// Create game instance
-const game = new ServerGame(io);
-game.onPlayerDeath = (name, score, level) => {
-  persistentLeaderboard.update(name, score, level).catch(() => {});
+// GET the logged-in player's exact rank on a board, with the entries around it (same query as above)
+app.get('/api/leaderboard/me', async (req, res) => {
+  const query = leaderboardQuery(req, res);
+  if (!query) return;
+  const { metric, period } = query;
+  try {
+    const user = await getSessionUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Not logged in' });
+    }
+    const position = await persistentLeaderboard.getRank(user.id, metric, period);
+    res.json({ metric, period, rank: null, value: null, around: [], ...position });
+  } catch (err) {
+    console.error('[Leaderboard] Rank error:', err.message);
+    res.status(500).json({ error: 'Could not load rank' });
+  }
+});
+
+// Room manager: each room runs its own ServerGame, capped at NETWORK.MAX_PLAYERS_PER_ROOM
+const rooms = new RoomManager(io);
+rooms.onPlayerDeath = (player, run) => {
+  persistentLeaderboard.update(player, run).catch(() => {});
+};
+rooms.onPlayerInput = (player, data) => abuse.recordInput(player, data);
+rooms.onPlayerKill = (killer, victim) => {
+  const feeding = abuse.recordKill(killer, victim);
+  if (feeding) return; // Repeat kills of the same victim don't move ratings
+  try {
+    recordRatedKill(killer, victim);
+  } catch (err) {
+    console.error('[DB] Rating update error:', err.message);
+  }
+};
+rooms.onPlayerEvent = (player, event, data) => {
+  try {
+    const unlocked = achievements.handle(player, event, data);
+    if (unlocked.length === 0) return;
+    const [found] = rooms.findPlayers(p => p.id === player.id);
+    if (found) {
+      for (const achievement of unlocked) io.to(found.socketId).emit('achievement', achievement);
+    }
+  } catch (err) {
+    console.error('[Achievements] Event error:', err.message);
+  }
 };
-game.start();
+rooms.onRunEnd = (player, run) => {
+  if (!player.userId) return null; // Guests have no career
+  try {
+    return recordRun(player.userId, run);
+  } catch (err) {
+    console.error('[DB] Record run error:', err.message);
+    return null;
+  }
+};
+rooms.onParkedPlayerExpired = (roomId) => {
+  rooms.getGame(roomId).broadcastPlayerCount();
+  sendRoomInfo(roomId);
+};
+
+// Admin routes (live players, kick, bans, roles, abuse/guard diagnostics)
+app.use('/api/admin', createAdminRouter({ io, rooms, guard, abuse }));
+
+rooms.findRoom(); // Warm up the first room so bots are already playing
+
+// GET public rooms for the lobby browser
+app.get('/api/rooms', (req, res) => {
+  res.json({ rooms: rooms.listPublicRooms() });
+});
+
+// GET occupants of a private room (by invite code)
+app.get('/api/rooms/:code/players', (req, res) => {
+  const occupants = rooms.getOccupantsByCode(req.params.code);
+  if (!occupants) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  res.json(occupants);
+});
+
+/**
+ * Pick the name a socket plays under: a logged-in account's display name, otherwise the requested
+ * name checked against the blocklist, reserved names and name bans.
+ * Returns the name, or null after telling the client why it was refused.
+ */
+function acceptName(socket, data) {
+  const user = socket.data.user;
+  if (user && user.displayName && !findActiveBan({ name: user.displayName })) return user.displayName;
+
+  const result = checkPlayerName(data.name, user ? user.id : null);
+  let error = result.error;
+  if (!error && findActiveBan({ name: result.name })) error = 'That name is not allowed';
+  if (error) {
+    socket.emit('joinError', { error, field: 'name' });
+    return null;
+  }
+  return result.name;
+}
+
+/**
+ * Put a socket's player into a room (null = matchmaking picks a public room) and notify everyone involved.
+ * If matchmaking asks the player to wait, this retries every MATCH_RETRY_INTERVAL ms.
+ * @param {number} [queuedAt] - when the player started waiting for a public room
+ * @returns {boolean} true if the player was placed (false while waiting or if the join was refused)
+ */
+function placeInRoom(socket, name, roomId, queuedAt = Date.now()) {
+  clearTimeout(socket.data.matchTimer);
+  const prevRoomId = rooms.getRoomForSocket(socket.id);
+
+  const user = socket.data.user;
+  const result = rooms.joinRoom(socket.id, name, roomId, {
+    rating: user ? getRating(user.id).rating : null,
+    region: socket.data.region,
+    mode: socket.data.mode,
+    partySize: socket.data.partySize,
+    waited: Date.now() - queuedAt,
+  });
+  if (result.waiting) {
+    socket.emit('matchmaking', { waited: Date.now() - queuedAt });
+    socket.data.matchTimer = setTimeout(() => placeInRoom(socket, name, null, queuedAt), SERVER_CONFIG.MATCH_RETRY_INTERVAL);
+    return false;
+  }
+  if (result.error) {
+    socket.emit('joinError', { error: result.error, field: result.field });
+    return false;
+  }
+  const { player } = result;
+
+  // Move the socket between socket.io rooms so broadcasts follow the player
+  const game = rooms.getGame(result.roomId);
+  if (prevRoomId && prevRoomId !== result.roomId) socket.leave(prevRoomId);
+  socket.join(result.roomId);
+  game.setWireFormat(socket.id, socket.data.wire);
+  if (socket.data.rtt) game.recordLatency(socket.id, socket.data.rtt);
+  linkAccount(socket, player);
+  trackForAbuse(socket, player, result.roomId);
+
+  // Send player their own ID and the room they landed in
+  socket.emit('joined', {
+    id: player.id,
+    roomId: result.roomId,
+    room: rooms.getRoomInfo(result.roomId),
+    isOwner: rooms.getRoomOwner(result.roomId) === socket.id,
+    wire: socket.data.wire,
+    resumeToken: result.resumeToken,
+  });
+
+  // Broadcast updated player count to the room(s)
+  game.broadcastPlayerCount();
+  sendRoomInfo(result.roomId);
+  if (prevRoomId && prevRoomId !== result.roomId) {
+    const prevGame = rooms.getGame(prevRoomId);
+    if (prevGame) {
+      prevGame.broadcastPlayerCount();
+      sendRoomInfo(prevRoomId);
+    }
+  }
+  return true;
+}
+
+/** Link a logged-in socket's player to its account (verified when playing under the display name) */
+function linkAccount(socket, player) {
+  const user = socket.data.user;
+  if (user) rooms.linkPlayerToAccount(socket.id, user.id, player.name === user.displayName, getRating(user.id).rating);
+}
+
+/** Register a socket's player with the anti-abuse monitor */
+function trackForAbuse(socket, player, roomId) {
+  abuse.trackPlayer(player.id, {
+    socketId: socket.id,
+    ip: socket.data.ip,
+    userId: socket.data.user ? socket.data.user.id : null,
+    name: player.name,
+    roomId,
+  });
+}
+
+/** Push private room settings to its occupants (the owner gets isOwner: true) */
+function sendRoomInfo(roomId) {
+  const info = rooms.getRoomInfo(roomId);
+  if (!info || info.visibility !== 'private') return;
+  const ownerId = rooms.getRoomOwner(roomId);
+  if (ownerId) {
+    io.to(roomId).except(ownerId).emit('roomInfo', { ...info, isOwner: false });
+    io.to(ownerId).emit('roomInfo', { ...info, isOwner: true });
+  } else {
+    io.to(roomId).emit('roomInfo', { ...info, isOwner: false });
+  }
+}
 
 // Socket.io connection handling
+// Handshake carries the session cookie: logged-in players are linked to their account on join
+io.use(authenticateSocket);
+
+// Banned IPs/accounts are refused at the handshake (name bans are checked on join)
+io.use((socket, next) => {
+  socket.data.ip = getSocketIP(socket);
+  const ban = findActiveBan({ ip: socket.data.ip, userId: socket.data.user ? socket.data.user.id : null });
+  if (ban) {
+    const err = new Error('banned');
+    err.data = { reason: describeBan(ban) };
+    return next(err);
+  }
+  next();
+});
+
 io.on('connection', (socket) => {
-  console.log(`[${new Date().toISOString()}] Socket connected: ${socket.id}`);
+  const user = socket.data.user;
+  console.log(`[${new Date().toISOString()}] Socket connected: ${socket.id}${user ? ` (user ${user.id})` : ''}`);
 
-  // Send current player count
-  socket.emit('playerCount', { count: game.getPlayerCount() });
+  // Wire format negotiated in the handshake; clients that don't ask get JSON
+  socket.data.wire = (socket.handshake.auth && socket.handshake.auth.wire === 'binary') ? 'binary' : 'json';
 
-  // --- JOIN ---
-  socket.on('join', (data) => {
-    try {
-      const name = (data && typeof data.name === 'string')
-        ? data.name.trim().substring(0, 16) || 'Player'
-        : 'Player';
+  // Send current player count (all rooms, for the menu)
+  socket.emit('playerCount', { count: rooms.getTotalPlayerCount() });
 
-      const player = game.addPlayer(socket.id, name);
+  // Every client event goes through the guard: schema check + rate limits before the handler runs
+  guard.attach(socket);
 
-      // Send player their own ID
-      socket.emit('joined', { id: player.id });
+  // --- JOIN (public matchmaking, a chosen public room, or a private room by invite code) ---
+  guard.on(socket, 'join', (data) => {
+    const name = acceptName(socket, data);
+    if (!name) return;
+    socket.data.region = SERVER_CONFIG.MATCH_REGIONS.includes(data.region) ? data.region : null;
+    socket.data.mode = SERVER_CONFIG.MATCH_MODES.includes(data.mode) ? data.mode : SERVER_CONFIG.MATCH_MODES[0];
+    socket.data.partySize = Math.min(data.partySize || 1, SERVER_CONFIG.MATCH_MAX_PARTY_SIZE);
 
-      // Broadcast updated player count
-      io.emit('playerCount', { count: game.getPlayerCount() });
-    } catch (err) {
-      console.error(`[${new Date().toISOString()}] Join error:`, err);
+    let roomId = null;
+    if (data.code) {
+      roomId = rooms.findRoomByCode(data.code);
+      if (!roomId) {
+        socket.emit('joinError', { error: 'Room not found' });
+        return;
+      }
+    } else if (data.roomId) {
+      // Picked from the room browser: only public rooms are addressable by id
+      if (!rooms.isPublicRoom(data.roomId)) {
+        socket.emit('joinError', { error: 'Room not found' });
+        return;
+      }
+      roomId = data.roomId;
     }
+    placeInRoom(socket, name, roomId);
   });
 
-  // --- INPUT ---
-  socket.on('input', (data) => {
-    try {
-      game.handleInput(socket.id, data);
-    } catch (err) {
-      // Silently handle bad input
-    }
+  // --- CREATE PRIVATE ROOM ---
+  guard.on(socket, 'createRoom', (data) => {
+    const name = acceptName(socket, data);
+    if (!name) return;
+
+    const roomId = rooms.createPrivateRoom(socket.id, {
+      maxPlayers: data.maxPlayers,
+      locked: !!data.locked,
+    });
+    // A room its creator couldn't enter would never be cleaned up
+    if (!placeInRoom(socket, name, roomId)) rooms.discardEmptyRoom(roomId);
   });
 
-  // --- LEVEL UP ---
-  socket.on('levelUp', (data) => {
-    try {
-      game.handleLevelUp(socket.id, data);
-    } catch (err) {
-      console.error(`[${new Date().toISOString()}] LevelUp error:`, err);
+  // --- PRIVATE ROOM SETTINGS (owner only) ---
+  guard.on(socket, 'roomSettings', (data) => {
+    const info = rooms.updateRoomSettings(socket.id, data);
+    if (info) sendRoomInfo(info.roomId);
+  });
+
+  // --- RESUME (reconnect after a dropped connection) ---
+  guard.on(socket, 'resume', (data) => {
+    const result = rooms.resumePlayer(socket.id, data.token);
+    if (result.error) {
+      socket.emit('resumeFailed', { error: result.error });
+      return;
+    }
+
+    // The old connection was still open server-side; it's been replaced
+    if (result.replacedSocketId) {
+      const old = io.sockets.sockets.get(result.replacedSocketId);
+      if (old) old.disconnect(true);
     }
+
+    const game = rooms.getGame(result.roomId);
+    socket.join(result.roomId);
+    game.setWireFormat(socket.id, socket.data.wire);
+    if (socket.data.rtt) game.recordLatency(socket.id, socket.data.rtt);
+    // Reconnecting is also how a mid-run login reaches the server (fresh handshake cookie)
+    linkAccount(socket, result.player);
+    trackForAbuse(socket, result.player, result.roomId);
+
+    socket.emit('joined', {
+      id: result.player.id,
+      roomId: result.roomId,
+      room: rooms.getRoomInfo(result.roomId),
+      isOwner: rooms.getRoomOwner(result.roomId) === socket.id,
+      wire: socket.data.wire,
+      resumeToken: result.resumeToken,
+      resumed: true,
+    });
+    sendRoomInfo(result.roomId);
   });
 
-  // --- LINK ACCOUNT (guest → registered user) ---
-  socket.on('linkAccount', (data) => {
-    try {
-      if (data && typeof data.userId === 'number') {
-        const user = getUserById(data.userId);
-        if (user) {
-          game.linkPlayerToAccount(socket.id, user.id);
-        }
-      }
-    } catch (err) {
-      console.error(`[${new Date().toISOString()}] LinkAccount error:`, err);
+  // --- INPUT ---
+  guard.on(socket, 'input', (data) => {
+    rooms.handleInput(socket.id, data);
+  });
+
+  // --- SNAPSHOT ACK / RESYNC ---
+  guard.on(socket, 'ack', (data) => {
+    rooms.handleAck(socket.id, data);
+  });
+
+  guard.on(socket, 'resync', () => {
+    rooms.handleResync(socket.id);
+  });
+
+  // --- CLOCK SYNC ---
+  // Echo the client's timestamp with ours so it can estimate RTT and clock offset;
+  // the client reports its smoothed RTT back on the next ping
+  guard.on(socket, 'clockPing', (data) => {
+    socket.emit('clockPong', { id: data.id, t: data.t, st: Date.now() });
+
+    if (data.rtt !== undefined) {
+      const rtt = Math.min(Math.round(data.rtt), SERVER_CONFIG.MAX_REPORTED_RTT);
+      socket.data.rtt = rtt;
+      rooms.recordLatency(socket.id, rtt);
     }
   });
 
+  // --- LEVEL UP ---
+  guard.on(socket, 'levelUp', (data) => {
+    rooms.handleLevelUp(socket.id, data);
+  });
+
   // --- RESPAWN ---
-  socket.on('respawn', () => {
-    try {
-      game.handleRespawn(socket.id);
-    } catch (err) {
-      console.error(`[${new Date().toISOString()}] Respawn error:`, err);
-    }
+  guard.on(socket, 'respawn', () => {
+    rooms.handleRespawn(socket.id);
   });
 
   // --- DISCONNECT ---
-  socket.on('disconnect', () => {
+  // Leaving on purpose removes the player; a dropped connection parks it for a resume
+  socket.on('disconnect', (reason) => {
     try {
-      game.removePlayer(socket.id);
-      io.emit('playerCount', { count: game.getPlayerCount() });
-      console.log(`[${new Date().toISOString()}] Socket disconnected: ${socket.id}`);
+      const intentional = reason === 'client namespace disconnect' || reason === 'server namespace disconnect';
+      const roomId = intentional ? rooms.removePlayer(socket.id) : rooms.parkPlayer(socket.id);
+      const game = roomId ? rooms.getGame(roomId) : null;
+      if (game) {
+        game.broadcastPlayerCount();
+        sendRoomInfo(roomId); // Ownership may have moved
+      }
+      guard.detach(socket.id);
+      clearTimeout(socket.data.matchTimer);
+      if (socket.data.user) achievements.forget(socket.data.user.id);
+      console.log(`[${new Date().toISOString()}] Socket disconnected: ${socket.id} (${reason})`);
     } catch (err) {
       console.error(`[${new Date().toISOString()}] Disconnect error:`, err);
     }
@@ -150,3 +476,11 @@ io.on('connection', (socket) => {
 server.listen(PORT, () => {
   console.log(`[${new Date().toISOString()}] STACK.io server running on port ${PORT}`);
 });
+
+// Write batched database changes (recent runs, achievements, ratings) before going down
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    flushDB();
+    process.exit(0);
+  });
+}
@@ -1,11 +1,38 @@
-// Redis-backed persistent leaderboard with in-memory fallback
+// Redis-backed persistent leaderboards with in-memory fallback
 // Uses Redis sorted sets for O(log N) ranking when available
-// Falls back to in-memory array when Redis is not configured
+// Falls back to in-memory arrays when Redis is not configured
+// Entries are keyed by account for registered players and by name for guests (see memberOf)
+// One board per metric (score, PvP kills, mob kills, survival, level, fastest first evolution) and period:
+// all-time, plus daily / weekly / season boards keyed by their time window
+// (windowed keys expire on their own; a finished season's final standings are handed to onSeasonEnd)
+
+import { SERVER_CONFIG } from './config.js';
 
 let redisClient = null;
 
 const REDIS_KEY = 'stackio:leaderboard';
-const MAX_ENTRIES = 100;
+const ACCOUNTS_KEY = `${REDIS_KEY}:accounts`; // hash: userId -> { name, verified } shown for account entries
+const MAX_ENTRIES = 100; // archived per season and metric
+const MAX_GUESTS = 100; // guest entries kept per board (accounts are never trimmed, so their rank is exact)
+
+const DAY = 24 * 60 * 60 * 1000;
+export const PERIODS = ['all', 'season', 'weekly', 'daily'];
+
+/**
+ * Ranked metrics. `value(run)` reads a run summary (see ServerPlayer.getRunSummary) and returns
+ * null when the run doesn't qualify; `ascending` boards rank the lowest value first.
+ */
+export const METRICS = {
+  score: { value: run => run.score || null },
+  kills: { value: run => run.kills || null },
+  mobKills: { value: run => run.mobKills || null },
+  survival: { value: run => run.duration || null },
+  level: { value: run => run.level },
+  firstEvolution: { value: run => (run.evolutions.length > 0 ? run.evolutions[0].t : null), ascending: true },
+};
+
+// Windowed boards outlive their window a little (late reads, season archiving after downtime)
+const PERIOD_GRACE = { daily: DAY, weekly: DAY, season: 7 * DAY };
 
 /**
  * Initialize Redis connection (call once at startup)
@@ -34,20 +61,95 @@ export async function initRedis() {
   }
 }
 
+/**
+ * Time window of a period at `now`: { id, startsAt, endsAt } (UTC; null bounds for 'all').
+ * Weeks start on Monday; seasons are SEASON_LENGTH_DAYS long counted from SEASON_START.
+ */
+export function periodWindow(period, now = Date.now()) {
+  const midnight = Math.floor(now / DAY) * DAY;
+  if (period === 'daily') {
+    return { id: new Date(midnight).toISOString().slice(0, 10), startsAt: midnight, endsAt: midnight + DAY };
+  }
+  if (period === 'weekly') {
+    const monday = midnight - ((new Date(midnight).getUTCDay() + 6) % 7) * DAY;
+    return { id: `w${new Date(monday).toISOString().slice(0, 10)}`, startsAt: monday, endsAt: monday + 7 * DAY };
+  }
+  if (period === 'season') {
+    const length = SERVER_CONFIG.SEASON_LENGTH_DAYS * DAY;
+    const first = Date.parse(SERVER_CONFIG.SEASON_START);
+    const index = Math.max(0, Math.floor((now - first) / length));
+    return { id: String(index + 1), startsAt: first + index * length, endsAt: first + (index + 1) * length };
+  }
+  return { id: 'all', startsAt: null, endsAt: null };
+}
+
+/** Board member: accounts by user id ("u:42"), guests and bots by name ("g:Bob") */
+function memberOf(userId, name) {
+  return userId ? `u:${userId}` : `g:${name}`;
+}
+
+function isGuest(member) {
+  return !member.startsWith('u:');
+}
+
+/** Public view of a stored entry (entries from before account keys are bare names) */
+function describeEntry({ member, name, value, verified }) {
+  const guestName = member.startsWith('g:') ? member.slice(2) : member;
+  return { name: name || (isGuest(member) ? guestName : 'Unknown'), value, verified: !isGuest(member) && !!verified };
+}
+
 export class Leaderboard {
   constructor() {
-    this.entries = [];
+    this.boards = new Map(); // in-memory fallback: board key -> { entries, expiresAt }
+    this.season = null; // current season id, for rollover detection
+    this.rolloverTimer = null;
+
+    // Called with (seasonId, { metric: standings }) once a season is over
+    this.onSeasonEnd = null;
+  }
+
+  /** Storage key of a board (the all-time score board keeps the original key) */
+  _key(metric, period, windowId) {
+    const base = metric === 'score' ? REDIS_KEY : `${REDIS_KEY}:${metric}`;
+    return period === 'all' ? base : `${base}:${period}:${windowId}`;
   }
 
-  /** Update or insert a player's best score */
-  async update(name, score, level) {
+  /**
+   * Record a finished run: keeps each player's best value on every metric's and period's board.
+   * @param {object} player - { name, userId, verified }; entries are keyed by account when userId is set
+   * @param {object} run - run summary (see ServerPlayer.getRunSummary)
+   */
+  async update({ name, userId = null, verified = false }, run) {
+    const member = memberOf(userId, name);
+    const now = Date.now();
+    const windows = PERIODS.map(period => ({ period, window: periodWindow(period, now) }));
+    const boards = [];
+    for (const [metric, { value, ascending }] of Object.entries(METRICS)) {
+      const score = value(run);
+      if (score === null || score === undefined) continue;
+      for (const { period, window } of windows) {
+        boards.push({
+          key: this._key(metric, period, window.id),
+          expiresAt: window.endsAt ? window.endsAt + PERIOD_GRACE[period] : null,
+          score,
+          ascending: !!ascending,
+        });
+      }
+    }
+
     if (redisClient) {
       try {
-        await redisClient.zAdd(REDIS_KEY, { score, value: name }, { GT: true });
-        await redisClient.hSet(`${REDIS_KEY}:levels`, name, String(level));
-        const count = await redisClient.zCard(REDIS_KEY);
-        if (count > MAX_ENTRIES) {
-          await redisClient.zRemRangeByRank(REDIS_KEY, 0, count - MAX_ENTRIES - 1);
+        if (userId) await redisClient.hSet(ACCOUNTS_KEY, String(userId), JSON.stringify({ name, verified }));
+        for (const { key, expiresAt, score, ascending } of boards) {
+          const option = ascending ? { LT: true } : { GT: true };
+          const tx = redisClient.multi().zAdd(key, { score, value: member }, option);
+          if (!userId) tx.zAdd(`${key}:guests`, { score, value: member }, option);
+          if (expiresAt) {
+            const at = Math.ceil(expiresAt / 1000);
+            tx.expireAt(key, at).expireAt(`${key}:guests`, at);
+          }
+          await tx.exec();
+          if (!userId) await this._trimGuests(key, ascending);
         }
         return;
       } catch (err) {
@@ -56,47 +158,165 @@ export class Leaderboard {
     }
 
     // In-memory fallback
-    const existing = this.entries.find(e => e.name === name);
-    if (existing) {
-      existing.score = Math.max(existing.score, score);
-      existing.level = Math.max(existing.level, level);
-    } else {
-      this.entries.push({ name, score, level });
-    }
-    this.entries.sort((a, b) => b.score - a.score);
-    if (this.entries.length > MAX_ENTRIES) {
-      this.entries = this.entries.slice(0, MAX_ENTRIES);
+    this._sweep(now);
+    for (const { key, expiresAt, score, ascending } of boards) {
+      let board = this.boards.get(key);
+      if (!board) {
+        board = { entries: [], expiresAt };
+        this.boards.set(key, board);
+      }
+      const existing = board.entries.find(e => e.member === member);
+      if (existing) {
+        existing.value = ascending ? Math.min(existing.value, score) : Math.max(existing.value, score);
+        existing.name = name;
+        existing.verified = verified;
+      } else {
+        board.entries.push({ member, name, verified, value: score });
+      }
+      board.entries.sort((a, b) => (ascending ? a.value - b.value : b.value - a.value));
+      if (!userId) {
+        // Drop the worst guests past the cap (entries are sorted best first)
+        let guests = 0;
+        board.entries = board.entries.filter(e => !isGuest(e.member) || ++guests <= MAX_GUESTS);
+      }
     }
   }
 
-  /** Get top N entries */
-  async getTop(n = 10) {
+  /** Remove the worst guest entries past MAX_GUESTS from a board and its guest index */
+  async _trimGuests(key, ascending) {
+    const guestsKey = `${key}:guests`;
+    const count = await redisClient.zCard(guestsKey);
+    if (count <= MAX_GUESTS) return;
+    const worst = ascending
+      ? await redisClient.zRange(guestsKey, MAX_GUESTS, -1)
+      : await redisClient.zRange(guestsKey, 0, count - MAX_GUESTS - 1);
+    await redisClient.multi().zRem(key, worst).zRem(guestsKey, worst).exec();
+  }
+
+  /**
+   * Get top N entries ({ name, value, verified }) of a board.
+   * @param {number} [n=10]
+   * @param {string} [metric='score'] - a METRICS key
+   * @param {string} [period='all'] - one of PERIODS
+   * @param {string} [windowId] - a specific window (e.g. a past season id); defaults to the current one
+   */
+  async getTop(n = 10, metric = 'score', period = 'all', windowId = periodWindow(period).id) {
+    const key = this._key(metric, period, windowId);
     if (redisClient) {
       try {
-        const results = await redisClient.zRangeWithScores(REDIS_KEY, -n, -1);
-        results.reverse();
-        const levels = await redisClient.hGetAll(`${REDIS_KEY}:levels`);
-        return results.map(r => ({
-          name: r.value,
-          score: r.score,
-          level: parseInt(levels[r.value]) || 1,
-        }));
+        return await this._rangeByRank(key, METRICS[metric].ascending, 0, n - 1);
       } catch (err) {
         console.error('[Redis] GetTop error:', err.message);
       }
     }
-    return this.entries.slice(0, n);
+    this._sweep(Date.now());
+    const board = this.boards.get(key);
+    return board ? board.entries.slice(0, n).map(describeEntry) : [];
+  }
+
+  /**
+   * An account's exact position on a board with the entries around it.
+   * @returns {{ rank: number, value: number, around: object[] }|null} null if the account has no entry
+   */
+  async getRank(userId, metric = 'score', period = 'all', { spread = 2 } = {}) {
+    const key = this._key(metric, period, periodWindow(period).id);
+    const member = memberOf(userId);
+    const ascending = METRICS[metric].ascending;
+    let index = null;
+    let around = [];
+
+    if (redisClient) {
+      try {
+        index = ascending ? await redisClient.zRank(key, member) : await redisClient.zRevRank(key, member);
+        if (index === null) return null;
+        const first = Math.max(0, index - spread);
+        around = (await this._rangeByRank(key, ascending, first, index + spread))
+          .map((entry, i) => ({ rank: first + i + 1, ...entry }));
+      } catch (err) {
+        console.error('[Redis] GetRank error:', err.message);
+        index = null;
+      }
+    }
+
+    if (index === null) {
+      this._sweep(Date.now());
+      const board = this.boards.get(key);
+      index = board ? board.entries.findIndex(e => e.member === member) : -1;
+      if (index === -1) return null;
+      const first = Math.max(0, index - spread);
+      around = board.entries.slice(first, index + spread + 1)
+        .map((entry, i) => ({ rank: first + i + 1, ...describeEntry(entry) }));
+    }
+
+    const me = around[index - Math.max(0, index - spread)];
+    me.me = true;
+    return { rank: index + 1, value: me.value, around };
+  }
+
+  /** Entries at ranks [start, stop] (0-based, best first) of a Redis board */
+  async _rangeByRank(key, ascending, start, stop) {
+    const results = await redisClient.zRangeWithScores(key, start, stop, ascending ? undefined : { REV: true });
+    const ids = results.map(r => r.value).filter(m => !isGuest(m)).map(m => m.slice(2));
+    const accounts = ids.length > 0 ? await redisClient.hmGet(ACCOUNTS_KEY, ids) : [];
+    const known = new Map(ids.map((id, i) => [id, accounts[i] ? JSON.parse(accounts[i]) : null]));
+    return results.map(r => {
+      const account = isGuest(r.value) ? null : known.get(r.value.slice(2));
+      return describeEntry({
+        member: r.value,
+        value: r.score,
+        name: account ? account.name : null,
+        verified: account ? account.verified : false,
+      });
+    });
+  }
+
+  /** Drop expired in-memory windowed boards (Redis expires its keys itself) */
+  _sweep(now) {
+    for (const [key, board] of this.boards) {
+      if (board.expiresAt && board.expiresAt <= now) this.boards.delete(key);
+    }
+  }
+
+  // ========== SEASON ROLLOVER ==========
+
+  /** Check for a season change every minute (and right away, to catch one missed while offline) */
+  startRollover() {
+    this.checkRollover().catch(err => console.error('[Leaderboard] Rollover error:', err.message));
+    this.rolloverTimer = setInterval(() => {
+      this.checkRollover().catch(err => console.error('[Leaderboard] Rollover error:', err.message));
+    }, 60 * 1000);
+    this.rolloverTimer.unref();
+  }
+
+  /** Archive the previous season (every metric's standings) once the current season id moves on */
+  async checkRollover(now = Date.now()) {
+    const current = periodWindow('season', now).id;
+    if (current === this.season) return;
+
+    // At startup the last season may have ended while we were down; onSeasonEnd must be idempotent
+    const previous = this.season || String(Number(current) - 1);
+    this.season = current;
+    if (Number(previous) < 1) return;
+
+    if (!this.onSeasonEnd) return;
+    const standings = {};
+    for (const metric of Object.keys(METRICS)) {
+      const top = await this.getTop(MAX_ENTRIES, metric, 'season', previous);
+      if (top.length > 0) standings[metric] = top;
+    }
+    if (Object.keys(standings).length === 0) return;
+    await this.onSeasonEnd(previous, standings);
   }
 
   /** Clear all entries */
   async clear() {
     if (redisClient) {
       try {
-        await redisClient.del(REDIS_KEY);
-        await redisClient.del(`${REDIS_KEY}:levels`);
+        const keys = await redisClient.keys(`${REDIS_KEY}*`);
+        if (keys.length > 0) await redisClient.del(keys);
         return;
       } catch (err) { /* fall through */ }
     }
-    this.entries = [];
+    this.boards.clear();
   }
 }
@@ -0,0 +1,116 @@
+// Matchmaking policy — picks the public room a player should join
+// Rooms are scored on how full they are, how close their average skill rating is to the player's
+// and whether they're tagged with the player's region; mode and free slots are hard requirements.
+// A room is only a match when its rating/region quality clears MATCH_MIN_QUALITY (fullness ranks
+// matches but can't make up for a bad one). With no match a new room is opened while there are
+// fewer than MATCH_MAX_OPEN_ROOMS, otherwise the player waits; after MATCH_FALLBACK_WAIT they
+// take the fullest room with space.
+
+import { SERVER_CONFIG } from './config.js';
+
+/**
+ * A join request.
+ * @typedef {object} MatchRequest
+ * @property {number|null} [rating] - player's skill rating (null for guests)
+ * @property {number} [partySize=1] - slots needed in the same room
+ * @property {string|null} [region] - region tag (null = no preference)
+ * @property {string} [mode='ffa'] - game mode
+ * @property {number} [waited=0] - ms the player has been waiting for a room
+ */
+
+/**
+ * A public room as seen by the policy.
+ * @typedef {object} MatchRoom
+ * @property {string} id
+ * @property {number} playerCount - real players
+ * @property {number} maxPlayers
+ * @property {string} mode
+ * @property {string|null} region
+ * @property {number|null} averageRating - of the rated players in it (null if none)
+ */
+
+export class MatchPolicy {
+  /**
+   * @param {object} [options] - overrides of the MATCH_* config values
+   * @param {{ fill: number, rating: number, region: number }} [options.weights]
+   */
+  constructor(options = {}) {
+    this.weights = { ...SERVER_CONFIG.MATCH_WEIGHTS, ...(options.weights || {}) };
+    this.minQuality = options.minQuality !== undefined ? options.minQuality : SERVER_CONFIG.MATCH_MIN_QUALITY;
+    this.ratingSpread = options.ratingSpread || SERVER_CONFIG.MATCH_RATING_SPREAD;
+    this.maxOpenRooms = options.maxOpenRooms || SERVER_CONFIG.MATCH_MAX_OPEN_ROOMS;
+    this.fallbackWait = options.fallbackWait !== undefined ? options.fallbackWait : SERVER_CONFIG.MATCH_FALLBACK_WAIT;
+  }
+
+  /**
+   * Decide where a request goes.
+   * @param {MatchRoom[]} rooms - public, unlocked rooms
+   * @param {MatchRequest} request
+   * @returns {{ roomId: string }|{ create: true }|{ wait: true }}
+   */
+  pick(rooms, request) {
+    const partySize = request.partySize || 1;
+    const mode = request.mode || 'ffa';
+    const candidates = rooms.filter(room => room.mode === mode && room.maxPlayers - room.playerCount >= partySize);
+    if (candidates.length === 0) return { create: true };
+
+    // Waited long enough: any seat beats none, fullest room first
+    if ((request.waited || 0) >= this.fallbackWait) {
+      return { roomId: this._fullest(candidates).id };
+    }
+
+    let best = null;
+    let bestScore = -1;
+    for (const room of candidates) {
+      if (this.quality(room, request) < this.minQuality) continue;
+      const score = this.score(room, request);
+      if (score > bestScore || (score === bestScore && room.playerCount > best.playerCount)) {
+        best = room;
+        bestScore = score;
+      }
+    }
+    if (best) return { roomId: best.id };
+
+    // Nothing fits well: open a room for this kind of player while there are few open rooms, else wait
+    return candidates.length < this.maxOpenRooms ? { create: true } : { wait: true };
+  }
+
+  /** Weighted score of a room for a request, 0 (worst) to 1 (best) */
+  score(room, request) {
+    return this._weigh(this._parts(room, request), ['fill', 'rating', 'region']);
+  }
+
+  /** Like score, without fullness: how well the room's players suit the request */
+  quality(room, request) {
+    return this._weigh(this._parts(room, request), ['rating', 'region']);
+  }
+
+  /** Per-criterion scores, 0 to 1 (0.5 when there's nothing to compare) */
+  _parts(room, request) {
+    return {
+      fill: room.playerCount / room.maxPlayers,
+      rating: this._ratingScore(request.rating, room.averageRating),
+      region: !request.region || !room.region ? 0.5 : request.region === room.region ? 1 : 0,
+    };
+  }
+
+  _weigh(parts, keys) {
+    let total = 0;
+    let weights = 0;
+    for (const key of keys) {
+      const weight = this.weights[key] || 0;
+      total += weight * parts[key];
+      weights += weight;
+    }
+    return weights > 0 ? total / weights : 0.5;
+  }
+
+  _ratingScore(rating, average) {
+    if (rating === null || rating === undefined || average === null) return 0.5;
+    return Math.max(0, 1 - Math.abs(rating - average) / this.ratingSpread);
+  }
+
+  _fullest(rooms) {
+    return rooms.reduce((best, room) => (room.playerCount > best.playerCount ? room : best));
+  }
+}
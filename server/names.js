@@ -0,0 +1,134 @@
+// Player name rules — cleanup, blocklist, reserved names
+// Names are compared by their "skeleton": invisible characters removed, homoglyphs and accents folded,
+// leetspeak mapped back to letters and separators dropped, so `B0t_Аlex` (Cyrillic А) and `bot alex`
+// both collide with the bot name `Bot_Alex`
+
+import { SERVER_CONFIG } from './config.js';
+
+export const DEFAULT_NAME = 'Player';
+export const MAX_NAME_LENGTH = 16;
+
+// Control, zero-width, bidi-override and filler characters that render as nothing
+const INVISIBLE = /[\u0000-\u001f\u007f-\u009f\u00ad\u034f\u061c\u115f\u1160\u17b4\u17b5\u180b-\u180e\u200b-\u200f\u202a-\u202e\u2060-\u206f\u3164\ufe00-\ufe0f\ufeff\uffa0]/g;
+
+// Cyrillic/Greek letters that look like Latin ones (after lowercasing)
+const HOMOGLYPHS = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+  'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ї': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd',
+  'ԛ': 'q', 'ԝ': 'w', 'ɡ': 'g', 'ı': 'i', 'ℓ': 'l',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+  'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+};
+
+const LEET = {
+  '0': 'o', '1': 'i', '2': 'z', '3': 'e', '4': 'a', '5': 's', '6': 'g', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't', '€': 'e', '£': 'l',
+};
+
+/** Visible form of a name: compatibility-normalized, invisibles removed, whitespace collapsed, capped length */
+export function cleanName(raw) {
+  if (typeof raw !== 'string') return '';
+  const cleaned = raw.normalize('NFKC').replace(INVISIBLE, '').replace(/\s+/g, ' ').trim();
+  return Array.from(cleaned).slice(0, MAX_NAME_LENGTH).join('').trim();
+}
+
+/** Lowercased, homoglyph- and accent-folded form (separators and digits kept) */
+function fold(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/./gu, ch => HOMOGLYPHS[ch] || ch);
+}
+
+/** Comparison key for a name: folded, leetspeak mapped to letters, only letters kept */
+export function nameSkeleton(name) {
+  return fold(cleanName(name))
+    .replace(/./gu, ch => LEET[ch] || ch)
+    .replace(/\P{L}/gu, '');
+}
+
+/** Forms of a name chunk the blocklist is checked against: leet-mapped, digits dropped, stretched letters squeezed */
+function blocklistKeys(text) {
+  const folded = fold(text);
+  const keys = new Set();
+  for (const base of [nameSkeleton(text), folded.replace(/\P{L}/gu, '')]) {
+    keys.add(base);
+    keys.add(base.replace(/(.)\1{2,}/g, '$1$1')); // "asss" -> "ass"
+    keys.add(base.replace(/(.)\1+/g, '$1'));      // "fuuuck" -> "fuck"
+  }
+  keys.delete('');
+  return keys;
+}
+
+/**
+ * Pattern finding a blocked word anywhere, letters stretched or not: each run of a letter must be at
+ * least as long as in the word ("nigger" matches "niiigger" but not "Niger")
+ */
+function stretchPattern(word) {
+  return new RegExp(word.match(/(.)\1*/g).map(run => `${run[0]}{${run.length},}`).join(''));
+}
+
+/** Blocklist from config plus NAME_BLOCKLIST_EXTRA (comma-separated) from the environment */
+function buildBlocklist() {
+  const extra = (process.env.NAME_BLOCKLIST_EXTRA || '')
+    .split(',')
+    .map(w => w.trim())
+    .filter(Boolean);
+  return {
+    substrings: [...SERVER_CONFIG.NAME_BLOCKLIST, ...extra].map(nameSkeleton).filter(Boolean).map(stretchPattern),
+    words: new Set(SERVER_CONFIG.NAME_BLOCKLIST_WORDS.map(nameSkeleton)),
+  };
+}
+
+const blocklist = buildBlocklist();
+
+function isBlocked(name) {
+  const whole = blocklistKeys(name);
+  for (const key of whole) {
+    if (blocklist.substrings.some(pattern => pattern.test(key))) return true;
+  }
+
+  // Whole-word entries only match a complete token (so "Dickens" or "Grapes" stay fine)
+  // Tokens split on separators and camelCase: "BigDick", "big_dick", "d.i.c.k"
+  const tokens = name.split(/[\s_\-.]+|(?<=\p{Ll})(?=\p{Lu})/u);
+  return [...whole, ...tokens.flatMap(t => [...blocklistKeys(t)])].some(key => blocklist.words.has(key));
+}
+
+/**
+ * Check a requested name.
+ * @param {*} raw - name as sent by the client
+ * @param {object} [options]
+ * @param {string[]} [options.botNames] - bot names nobody may use
+ * @param {(skeleton: string) => number|null} [options.registeredOwner] - account id owning a registered name
+ * @param {number|null} [options.userId] - requesting account (may use its own registered name)
+ * @returns {{ name: string } | { error: string, taken?: boolean }}
+ */
+export function validateName(raw, { botNames = [], registeredOwner = null, userId = null } = {}) {
+  const name = cleanName(raw);
+  if (!name) return { name: DEFAULT_NAME };
+
+  const skeleton = nameSkeleton(name);
+  if (!skeleton && !/\p{L}|\p{N}/u.test(name)) {
+    return { error: 'Name needs at least one letter or number' };
+  }
+
+  if (isBlocked(name)) {
+    return { error: 'That name contains a blocked word' };
+  }
+
+  // Bots: exact bot names in any disguise, and anything styled "Bot_..." / "bot 123"
+  const botSkeletons = new Set(botNames.map(nameSkeleton));
+  if (botSkeletons.has(skeleton) || /^bot[\s_\-.]/.test(fold(name)) || /^bot\d*$/.test(fold(name).replace(/[^a-z0-9]/g, ''))) {
+    return { error: 'Names that look like bots are reserved' };
+  }
+
+  if (registeredOwner && skeleton) {
+    const owner = registeredOwner(skeleton);
+    if (owner && owner !== userId) {
+      return { error: 'That name belongs to a registered player', taken: true };
+    }
+  }
+
+  return { name };
+}
@@ -1,10 +1,15 @@
 // Server-side Player class
 // Holds authoritative state for each connected player (or bot)
 
-import { MAP, PLAYER, LEVELING, WEAPONS, PASSIVES, EVOLUTIONS } from '../shared/constants.js';
+import { MAP, PLAYER, LEVELING, WEAPONS, PASSIVES, EVOLUTIONS, MOVEMENT } from '../shared/constants.js';
 
 let nextPlayerId = 1;
 
+// Run timeline (real players only): discrete events plus per-bucket damage taken / mob kills
+const TIMELINE_BUCKET = 5000; // ms
+const MAX_TIMELINE_EVENTS = 300;
+const MAX_TIMELINE_BUCKETS = 720; // one hour of buckets
+
 export class ServerPlayer {
   constructor(name, isBot = false) {
     this.id = 'p' + (nextPlayerId++);
@@ -23,10 +28,16 @@ export class ServerPlayer {
     this.radius = PLAYER.RADIUS;
     this.xp = 0;
     this.level = 1;
-    this.kills = 0;
+    this.kills = 0; // players + mobs (shown on the death screen)
     this.alive = true;
     this.score = 0; // cumulative XP for leaderboard
 
+    // Run stats (persisted for accounts when the run ends)
+    this.playerKills = 0;
+    this.mobKills = 0;
+    this.evolutions = []; // [{ key, t }] t = ms into the run
+    this.timeline = { events: [], buckets: [] }; // see _timelineEvent / _timelineBucket
+
     // Weapons: array of { key, level }
     this.weapons = [
       { key: 'orbit', level: 1 },
@@ -45,6 +56,21 @@ export class ServerPlayer {
     // Level-up pending
     this.pendingLevelUp = false;
 
+    // Last input sequence number processed (echoed to the client for prediction)
+    this.lastInputSeq = 0;
+
+    // Client connection dropped; kept in the world (invulnerable, idle) until it resumes or times out
+    this.parked = false;
+
+    // Round-trip time reported by the client's clock sync (ms, diagnostics only)
+    this.rtt = 0;
+
+    // Playing under their account's registered display name (badge on leaderboard/kill feed)
+    this.verified = false;
+
+    // Skill rating of the linked account (null for guests and bots; see rating.js)
+    this.rating = null;
+
     // Timestamps
     this.spawnTime = Date.now();
     this.lastRegenTick = Date.now();
@@ -64,12 +90,10 @@ export class ServerPlayer {
   /** Update position based on input angle */
   update(dt) {
     // Grow radius with level
-    this.radius = Math.min(PLAYER.RADIUS + (this.level - 1) * 1.5, 50);
+    this.radius = MOVEMENT.radiusFormula(this.level);
 
     // Speed passive + level bonus (+2% per level)
-    const speedBonus = (this.passives.speed || 0) * PASSIVES.speed.perLevel;
-    const levelSpeedBonus = (this.level - 1) * 0.02;
-    const currentSpeed = PLAYER.BASE_SPEED * (1 + speedBonus + levelSpeedBonus);
+    const currentSpeed = MOVEMENT.speedFormula(this.level, this.passives.speed || 0);
 
     if (this.moving) {
       this.x += Math.cos(this.angle) * currentSpeed;
@@ -99,7 +123,7 @@ export class ServerPlayer {
 
   /** Apply damage (returns actual damage dealt after armor/shield) */
   takeDamage(amount) {
-    if (this.immunity > 0) return 0;
+    if (this.immunity > 0 || this.parked) return 0;
 
     // Armor passive reduces damage
     const armorLevel = this.passives.armor || 0;
@@ -107,6 +131,8 @@ export class ServerPlayer {
     const finalDamage = Math.max(1, Math.round(amount * (1 - reduction)));
 
     this.hp -= finalDamage;
+    const bucket = this._timelineBucket();
+    if (bucket) bucket.damage += finalDamage;
     if (this.hp <= 0) {
       this.hp = 0;
       this.alive = false;
@@ -254,6 +280,8 @@ export class ServerPlayer {
 
   /** Apply a chosen level-up option */
   applyLevelUpChoice(option) {
+    this._timelineEvent('levelUp', { level: this.level, choice: { type: option.type, key: option.key, name: option.name } });
+
     if (option.type === 'evolution') {
       // Weapon evolution: remove both recipe weapons, add evolved weapon
       const evo = EVOLUTIONS[option.key];
@@ -261,6 +289,8 @@ export class ServerPlayer {
         const [w1key, w2key] = evo.recipe;
         this.weapons = this.weapons.filter(w => w.key !== w1key && w.key !== w2key);
         this.weapons.push({ key: option.key, level: 1, evolved: true });
+        this.evolutions.push({ key: option.key, t: Date.now() - this.spawnTime });
+        this._timelineEvent('evolution', { key: option.key });
       }
     } else if (option.type === 'new_weapon') {
       if (!this.weapons.find(w => w.key === option.key)) {
@@ -291,6 +321,10 @@ export class ServerPlayer {
     this.kills = 0;
     this.alive = true;
     this.score = 0;
+    this.playerKills = 0;
+    this.mobKills = 0;
+    this.evolutions = [];
+    this.timeline = { events: [], buckets: [] };
     this.weapons = [
       { key: 'orbit', level: 1 },
       { key: 'bullet', level: 1 },
@@ -303,6 +337,63 @@ export class ServerPlayer {
     this.radius = PLAYER.RADIUS;
   }
 
+  /** Count a mob kill */
+  recordMobKill() {
+    this.kills++;
+    this.mobKills++;
+    const bucket = this._timelineBucket();
+    if (bucket) bucket.mobKills++;
+  }
+
+  /** Count a player kill */
+  recordPlayerKill(victim) {
+    this.kills++;
+    this.playerKills++;
+    this._timelineEvent('kill', { victim: victim.name });
+  }
+
+  /** Append a timeline event ({ t, type, ...data }, t = ms into the run) */
+  _timelineEvent(type, data = {}) {
+    if (this.isBot || this.timeline.events.length >= MAX_TIMELINE_EVENTS) return;
+    this.timeline.events.push({ t: Date.now() - this.spawnTime, type, ...data });
+  }
+
+  /** Current time bucket ({ t, damage, mobKills }), created on demand; null for bots / past the cap */
+  _timelineBucket() {
+    if (this.isBot) return null;
+    const buckets = this.timeline.buckets;
+    const t = Math.floor((Date.now() - this.spawnTime) / TIMELINE_BUCKET) * TIMELINE_BUCKET;
+    const last = buckets[buckets.length - 1];
+    if (last && last.t === t) return last;
+    if (buckets.length >= MAX_TIMELINE_BUCKETS) return null;
+    const bucket = { t, damage: 0, mobKills: 0 };
+    buckets.push(bucket);
+    return bucket;
+  }
+
+  /**
+   * Summary of the run that just ended.
+   * @param {string} cause - 'player', 'mob' or 'left'
+   * @param {string|null} killerName - for cause 'player'
+   */
+  getRunSummary(cause, killerName = null) {
+    const endedAt = Date.now();
+    return {
+      startedAt: this.spawnTime,
+      endedAt,
+      duration: endedAt - this.spawnTime,
+      kills: this.playerKills,
+      mobKills: this.mobKills,
+      level: this.level,
+      score: this.score,
+      weapons: this.weapons.map(w => ({ key: w.key, level: w.level, evolved: !!w.evolved })),
+      evolutions: this.evolutions.slice(),
+      cause,
+      killer: killerName,
+      timeline: { bucketSize: TIMELINE_BUCKET, events: this.timeline.events, buckets: this.timeline.buckets },
+    };
+  }
+
   /** Serialize for network (compressed property names) */
   serialize() {
     return {
@@ -317,11 +408,12 @@ export class ServerPlayer {
       r: Math.round(this.radius),
       w: this.getWeaponKeys(),
       al: this.alive,
-      im: this.immunity > 0,
+      im: this.immunity > 0 || this.parked,
       c: this.color,
       s: this.score,
       xp: this.xp,
       xn: this.xpToNextLevel,
+      sp: this.passives.speed || 0,
     };
   }
 }
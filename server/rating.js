@@ -0,0 +1,76 @@
+// Skill rating — Elo-style ratings for logged-in players, moved by PvP kills
+// A kill is a win for the killer and a loss for the victim, weighted by the level gap and
+// by how close to the safe zone it happened (spawn camping); kills involving guests or bots aren't rated
+
+import { MAP } from '../shared/constants.js';
+import { SERVER_CONFIG } from './config.js';
+import { getRating, saveRatings } from './db.js';
+
+/** Probability that a player rated `rating` beats one rated `opponent` */
+export function expectedScore(rating, opponent) {
+  return 1 / (1 + Math.pow(10, (opponent - rating) / 400));
+}
+
+/** K-factor: new accounts move faster until their rating settles */
+function kFactor(games) {
+  return games < SERVER_CONFIG.RATING_PROVISIONAL_GAMES ? SERVER_CONFIG.RATING_K_PROVISIONAL : SERVER_CONFIG.RATING_K;
+}
+
+/**
+ * How much a kill counts (1 = a fair fight in open field).
+ * Beating a lower-level victim counts less, beating a higher-level one more;
+ * kills just outside the safe zone count less.
+ */
+export function killWeight(killer, victim) {
+  const levelGap = killer.level - victim.level;
+  let weight = 1 - levelGap * SERVER_CONFIG.RATING_LEVEL_WEIGHT;
+  weight = Math.min(SERVER_CONFIG.RATING_MAX_WEIGHT, Math.max(SERVER_CONFIG.RATING_MIN_WEIGHT, weight));
+
+  const cx = MAP.WIDTH / 2;
+  const cy = MAP.HEIGHT / 2;
+  const fromCenter = Math.hypot(victim.x - cx, victim.y - cy);
+  if (fromCenter < MAP.SAFE_ZONE_RADIUS + SERVER_CONFIG.RATING_SAFE_ZONE_MARGIN) {
+    weight *= SERVER_CONFIG.RATING_SAFE_ZONE_WEIGHT;
+  }
+  return weight;
+}
+
+/**
+ * New ratings after a kill.
+ * @param {{ rating: number, games: number }} killer
+ * @param {{ rating: number, games: number }} victim
+ * @param {number} [weight=1] - see killWeight
+ * @returns {{ killer: number, victim: number }}
+ */
+export function rateKill(killer, victim, weight = 1) {
+  const surprise = 1 - expectedScore(killer.rating, victim.rating);
+  return {
+    killer: killer.rating + kFactor(killer.games) * weight * surprise,
+    victim: victim.rating - kFactor(victim.games) * weight * surprise,
+  };
+}
+
+/** Rating as shown on profiles: rounded, flagged provisional while it's still settling */
+export function describeRating({ rating, games }) {
+  return { rating: Math.round(rating), games, provisional: games < SERVER_CONFIG.RATING_PROVISIONAL_GAMES };
+}
+
+/**
+ * Rate a PvP kill between two logged-in players, persist it and refresh their in-game ratings.
+ * Returns the rating change of the killer, or null if the kill isn't rated.
+ * @param {object} killer - ServerPlayer
+ * @param {object} victim - ServerPlayer
+ */
+export function recordRatedKill(killer, victim) {
+  if (!killer.userId || !victim.userId || killer.userId === victim.userId) return null;
+
+  const before = { killer: getRating(killer.userId), victim: getRating(victim.userId) };
+  const after = rateKill(before.killer, before.victim, killWeight(killer, victim));
+  saveRatings([
+    { userId: killer.userId, rating: after.killer },
+    { userId: victim.userId, rating: after.victim },
+  ]);
+  killer.rating = after.killer;
+  victim.rating = after.victim;
+  return after.killer - before.killer.rating;
+}
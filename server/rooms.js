@@ -1,63 +1,371 @@
 // Room/arena management - auto-creates rooms when capacity is reached
 // Each room runs its own ServerGame instance with independent state
-// Players are automatically placed in the best available room
+// Players are automatically placed in the best available public room
+// Private rooms are only reachable through their invite code
+// Dropped players stay parked for a grace window and can be resumed with their resume token
 
+import { randomInt, randomBytes } from 'crypto';
 import { NETWORK } from '../shared/constants.js';
+import { SERVER_CONFIG } from './config.js';
 import { ServerGame } from './game.js';
+import { DEFAULT_NAME } from './names.js';
+import { MatchPolicy } from './matchmaking.js';
+
+// Invite code alphabet (no 0/O/1/I to avoid misreads when shared verbally)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
 
 export class RoomManager {
-  constructor(io) {
+  /**
+   * @param {object} io - socket.io server
+   * @param {object} [options]
+   * @param {MatchPolicy} [options.matchPolicy] - public room selection (defaults to the MATCH_* config)
+   */
+  constructor(io, options = {}) {
     this.io = io;
-    this.rooms = new Map(); // roomId -> { game, namespace, playerCount }
+    this.matchPolicy = options.matchPolicy || new MatchPolicy();
+    this.rooms = new Map(); // roomId -> { game, playerCount, visibility, code, ... }
     this.socketToRoom = new Map(); // socketId -> roomId
+    this.codeToRoom = new Map(); // invite code -> roomId (private rooms only)
     this.nextRoomId = 1;
-  }
 
-  /** Find best room or create new one, returns roomId */
-  findRoom() {
-    // Find room with space and most players (for better experience)
-    let bestRoom = null;
-    let bestCount = -1;
+    // Reconnect: resume token -> { roomId, playerId, socketId (null while parked), lastSocketId, timer }
+    this.resumeTokens = new Map();
+    this.socketTokens = new Map(); // socketId -> resume token
+
+    // Callback for persistent leaderboard updates, attached to every room's game
+    this.onPlayerDeath = null;
+    // Anti-abuse hooks, attached to every room's game: (player, input) and (killer, victim)
+    this.onPlayerInput = null;
+    this.onPlayerKill = null;
+    // Achievement hook, attached to every room's game: (player, event, data)
+    this.onPlayerEvent = null;
+    // Run history hook, attached to every room's game: (player, runSummary) -> run id or null
+    this.onRunEnd = null;
+    // Called with the roomId when a parked player's grace window runs out and it is removed
+    this.onParkedPlayerExpired = null;
+  }
 
+  /**
+   * Find best public room or create new one (see MatchPolicy).
+   * Returns the roomId, or null when the player should wait and ask again.
+   * @param {import('./matchmaking.js').MatchRequest} [request] - rating, partySize, region, mode, waited
+   */
+  findRoom(request = {}) {
+    const candidates = [];
     for (const [id, room] of this.rooms) {
-      if (room.playerCount < NETWORK.MAX_PLAYERS_PER_ROOM && room.playerCount > bestCount) {
-        bestRoom = id;
-        bestCount = room.playerCount;
-      }
+      if (room.visibility !== 'public' || room.locked) continue;
+      candidates.push({
+        id,
+        playerCount: room.playerCount,
+        maxPlayers: room.maxPlayers,
+        mode: room.mode,
+        region: room.region,
+        averageRating: room.game.getAverageRating(),
+      });
     }
 
-    if (bestRoom) return bestRoom;
+    const decision = this.matchPolicy.pick(candidates, request);
+    if (decision.roomId) return decision.roomId;
+    if (decision.wait) return null;
 
     // Create new room
-    return this._createRoom();
+    return this._createRoom({ mode: request.mode, region: request.region });
   }
 
-  _createRoom() {
+  /**
+   * Create a room and start its game loop.
+   * @param {object} [options]
+   * @param {'public'|'private'} [options.visibility='public']
+   * @param {number} [options.maxPlayers] - real-player cap (defaults to NETWORK.MAX_PLAYERS_PER_ROOM)
+   * @param {boolean} [options.locked=false] - locked rooms refuse new joins
+   * @param {string} [options.ownerSocketId] - socket allowed to change room settings
+   * @param {string} [options.mode='ffa'] - game mode label shown in the room browser
+   * @param {string} [options.region] - region tag used by matchmaking (null = any)
+   */
+  _createRoom(options = {}) {
     const roomId = 'room_' + (this.nextRoomId++);
+    const visibility = options.visibility === 'private' ? 'private' : 'public';
     const game = new ServerGame(this.io, roomId);
+    game.onPlayerDeath = (...args) => {
+      if (this.onPlayerDeath) this.onPlayerDeath(...args);
+    };
+    game.onPlayerInput = (...args) => {
+      if (this.onPlayerInput) this.onPlayerInput(...args);
+    };
+    game.onPlayerKill = (...args) => {
+      if (this.onPlayerKill) this.onPlayerKill(...args);
+    };
+    game.onPlayerEvent = (...args) => {
+      if (this.onPlayerEvent) this.onPlayerEvent(...args);
+    };
+    game.onRunEnd = (...args) => (this.onRunEnd ? this.onRunEnd(...args) : null);
     game.start();
 
-    this.rooms.set(roomId, {
+    const room = {
       game,
       playerCount: 0,
       createdAt: Date.now(),
-    });
+      visibility,
+      code: null,
+      locked: !!options.locked,
+      maxPlayers: this._clampMaxPlayers(options.maxPlayers),
+      ownerSocketId: options.ownerSocketId || null,
+      mode: options.mode || 'ffa',
+      region: options.region || null,
+    };
+
+    if (visibility === 'private') {
+      room.code = this._generateCode();
+      this.codeToRoom.set(room.code, roomId);
+    }
+
+    this.rooms.set(roomId, room);
 
-    console.log(`[Rooms] Created ${roomId}`);
+    console.log(`[Rooms] Created ${visibility} ${roomId}${room.code ? ` (code ${room.code})` : ''}`);
     return roomId;
   }
 
-  /** Add player to a room */
-  joinRoom(socketId, name) {
-    const roomId = this.findRoom();
+  _clampMaxPlayers(maxPlayers) {
+    if (typeof maxPlayers !== 'number' || !isFinite(maxPlayers)) return NETWORK.MAX_PLAYERS_PER_ROOM;
+    return Math.max(2, Math.min(NETWORK.MAX_PLAYERS_PER_ROOM, Math.floor(maxPlayers)));
+  }
+
+  _generateCode() {
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < SERVER_CONFIG.ROOM_CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+      }
+    } while (this.codeToRoom.has(code));
+    return code;
+  }
+
+  /** Create a private room owned by a socket, returns roomId */
+  createPrivateRoom(ownerSocketId, settings = {}) {
+    return this._createRoom({
+      visibility: 'private',
+      maxPlayers: settings.maxPlayers,
+      locked: settings.locked,
+      ownerSocketId,
+    });
+  }
+
+  /** True if roomId names an existing public room */
+  isPublicRoom(roomId) {
     const room = this.rooms.get(roomId);
-    if (!room) return null;
+    return !!room && room.visibility === 'public';
+  }
+
+  /** Public rooms for the lobby browser */
+  listPublicRooms() {
+    const now = Date.now();
+    const list = [];
+    for (const [id, room] of this.rooms) {
+      if (room.visibility !== 'public') continue;
+      list.push({
+        id,
+        players: room.game.getRealPlayerCount(),
+        bots: room.game.getBotCount(),
+        maxPlayers: room.maxPlayers,
+        mode: room.mode,
+        region: room.region,
+        locked: room.locked,
+        createdAt: room.createdAt,
+        age: now - room.createdAt,
+        topScore: room.game.getTopScore(),
+      });
+    }
+    return list;
+  }
+
+  /** Look up a private room by invite code (case-insensitive), returns roomId or null */
+  findRoomByCode(code) {
+    if (typeof code !== 'string') return null;
+    return this.codeToRoom.get(code.trim().toUpperCase()) || null;
+  }
+
+  /**
+   * Add player to a room (leaving any room the socket was already in).
+   * Without a roomId the best public room is chosen (options: the findRoom request).
+   * Returns { player, roomId, resumeToken }, { waiting: true } if matchmaking wants the player to wait,
+   * or { error, field? } if the requested room can't be joined (field 'name' when the name is the problem).
+   */
+  joinRoom(socketId, name, roomId = null, options = {}) {
+    const targetId = roomId || this.findRoom(options);
+    if (!targetId) return { waiting: true };
+    const room = this.rooms.get(targetId);
+    if (!room) return { error: 'Room not found' };
+
+    // Re-joining the same room doesn't count against its cap
+    const currentRoomId = this.socketToRoom.get(socketId);
+    if (currentRoomId !== targetId) {
+      // The lock keeps others out, not the owner (who may create the room locked)
+      if (room.locked && room.ownerSocketId !== socketId) return { error: 'Room is locked' };
+      if (room.playerCount >= room.maxPlayers) return { error: 'Room is full' };
+    }
+
+    // Names are unique per room; unnamed players are numbered instead of refused
+    if (room.game.isNameTaken(name, socketId)) {
+      if (name !== DEFAULT_NAME) return { error: 'That name is already taken in this room', field: 'name' };
+      let n = 2;
+      while (room.game.isNameTaken(`${DEFAULT_NAME}${n}`, socketId)) n++;
+      name = `${DEFAULT_NAME}${n}`;
+    }
+
+    if (currentRoomId) {
+      this.removePlayer(socketId);
+      // The room may have been cleaned up if this socket was its last player
+      if (!this.rooms.has(targetId)) return { error: 'Room not found' };
+    }
 
     const player = room.game.addPlayer(socketId, name);
     room.playerCount++;
-    this.socketToRoom.set(socketId, roomId);
+    this.socketToRoom.set(socketId, targetId);
+    if (!room.ownerSocketId && room.visibility === 'private') {
+      room.ownerSocketId = socketId;
+    }
+
+    const resumeToken = this._issueResumeToken(socketId, targetId, player.id);
+    return { player, roomId: targetId, resumeToken };
+  }
+
+  _issueResumeToken(socketId, roomId, playerId) {
+    const token = randomBytes(24).toString('base64url');
+    this.resumeTokens.set(token, { roomId, playerId, socketId, lastSocketId: socketId, timer: null });
+    this.socketTokens.set(socketId, token);
+    return token;
+  }
+
+  _revokeResumeToken(socketId) {
+    const token = this.socketTokens.get(socketId);
+    if (!token) return;
+    const entry = this.resumeTokens.get(token);
+    if (entry && entry.timer) clearTimeout(entry.timer);
+    this.resumeTokens.delete(token);
+    this.socketTokens.delete(socketId);
+  }
+
+  /**
+   * Socket dropped unexpectedly: park its player for SERVER_CONFIG.RECONNECT_GRACE ms instead of
+   * removing it. The slot stays reserved; the room's player count doesn't change.
+   * Returns the roomId (or undefined if the socket wasn't playing).
+   */
+  parkPlayer(socketId) {
+    const token = this.socketTokens.get(socketId);
+    const entry = token ? this.resumeTokens.get(token) : null;
+    const roomId = this.socketToRoom.get(socketId);
+    const room = roomId ? this.rooms.get(roomId) : null;
+    if (!entry || !room) return this.removePlayer(socketId);
+
+    room.game.parkPlayer(socketId);
+    this.socketToRoom.delete(socketId);
+    this.socketTokens.delete(socketId);
+    entry.socketId = null;
+    entry.timer = setTimeout(() => this._expireParked(token), SERVER_CONFIG.RECONNECT_GRACE);
+    return roomId;
+  }
+
+  /**
+   * Reattach the player behind a resume token to a new socket.
+   * If the old socket is somehow still attached it is detached first (returned as replacedSocketId
+   * so the caller can disconnect it).
+   * Returns { player, roomId, resumeToken, replacedSocketId } or { error }.
+   */
+  resumePlayer(socketId, token) {
+    const entry = typeof token === 'string' ? this.resumeTokens.get(token) : null;
+    const room = entry ? this.rooms.get(entry.roomId) : null;
+    if (!entry || !room) return { error: 'Session expired' };
+
+    // Leave whatever this socket was doing (normally nothing: it's a fresh connection)
+    if (this.socketToRoom.has(socketId)) this.removePlayer(socketId);
+
+    let replacedSocketId = null;
+    if (entry.socketId) {
+      // Old connection hasn't timed out server-side yet
+      replacedSocketId = entry.socketId;
+      room.game.parkPlayer(replacedSocketId);
+      this.socketToRoom.delete(replacedSocketId);
+      this.socketTokens.delete(replacedSocketId);
+    }
+    if (entry.timer) clearTimeout(entry.timer);
+    this.resumeTokens.delete(token);
+
+    const player = room.game.resumePlayer(socketId, entry.playerId);
+    if (!player) {
+      room.playerCount--;
+      this._afterLeave(entry.roomId, room, entry.lastSocketId);
+      return { error: 'Session expired' };
+    }
+
+    this.socketToRoom.set(socketId, entry.roomId);
+    if (room.ownerSocketId === entry.lastSocketId) {
+      room.ownerSocketId = socketId;
+    }
 
-    return { player, roomId };
+    // Rotate the token so a leaked one can only be used once
+    const resumeToken = this._issueResumeToken(socketId, entry.roomId, entry.playerId);
+    return { player, roomId: entry.roomId, resumeToken, replacedSocketId };
+  }
+
+  /** Grace window ran out: remove the parked player for good */
+  _expireParked(token) {
+    const entry = this.resumeTokens.get(token);
+    if (!entry || entry.socketId) return;
+    this.resumeTokens.delete(token);
+
+    const room = this.rooms.get(entry.roomId);
+    if (!room) return;
+    room.game.removePlayerById(entry.playerId);
+    room.playerCount--;
+    this._afterLeave(entry.roomId, room, entry.lastSocketId);
+
+    if (this.rooms.has(entry.roomId) && this.onParkedPlayerExpired) {
+      this.onParkedPlayerExpired(entry.roomId);
+    }
+  }
+
+  /**
+   * Update lock state / player cap of a private room. Only the owner may do this.
+   * Returns the updated room info or null if not allowed.
+   */
+  updateRoomSettings(socketId, settings = {}) {
+    const roomId = this.socketToRoom.get(socketId);
+    const room = roomId ? this.rooms.get(roomId) : null;
+    if (!room || room.visibility !== 'private' || room.ownerSocketId !== socketId) return null;
+
+    if (typeof settings.locked === 'boolean') {
+      room.locked = settings.locked;
+    }
+    if (settings.maxPlayers !== undefined) {
+      // Never drop the cap below the players already inside
+      room.maxPlayers = Math.max(room.playerCount, this._clampMaxPlayers(settings.maxPlayers));
+    }
+    return this.getRoomInfo(roomId);
+  }
+
+  /** Public-facing room settings (sent to clients in the room) */
+  getRoomInfo(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    return {
+      roomId,
+      visibility: room.visibility,
+      code: room.code,
+      locked: room.locked,
+      maxPlayers: room.maxPlayers,
+      playerCount: room.playerCount,
+    };
+  }
+
+  /** Occupants of a private room by invite code, or null if no such room */
+  getOccupantsByCode(code) {
+    const roomId = this.findRoomByCode(code);
+    if (!roomId) return null;
+    return {
+      ...this.getRoomInfo(roomId),
+      players: this.rooms.get(roomId).game.getOccupants(),
+    };
   }
 
   /** Handle input for a player */
@@ -84,25 +392,109 @@ export class RoomManager {
     if (room) room.game.handleRespawn(socketId);
   }
 
-  /** Remove player from their room */
+  /** Handle snapshot acknowledgement */
+  handleAck(socketId, data) {
+    const game = this.getGameForSocket(socketId);
+    if (game) game.handleAck(socketId, data);
+  }
+
+  /** Handle full snapshot request */
+  handleResync(socketId) {
+    const game = this.getGameForSocket(socketId);
+    if (game) game.handleResync(socketId);
+  }
+
+  /** Record a client's round-trip time for diagnostics */
+  recordLatency(socketId, rtt) {
+    const game = this.getGameForSocket(socketId);
+    if (game) game.recordLatency(socketId, rtt);
+  }
+
+  /** Link a playing socket to a user account */
+  linkPlayerToAccount(socketId, userId, verified = false, rating = null) {
+    const game = this.getGameForSocket(socketId);
+    if (game) game.linkPlayerToAccount(socketId, userId, verified, rating);
+  }
+
+  /** Remove player from their room, returns the roomId they left */
   removePlayer(socketId) {
     const roomId = this.socketToRoom.get(socketId);
     if (!roomId) return;
 
     const room = this.rooms.get(roomId);
+    this._revokeResumeToken(socketId);
     if (room) {
       room.game.removePlayer(socketId);
       room.playerCount--;
+      this.socketToRoom.delete(socketId);
+      this._afterLeave(roomId, room, socketId);
+    }
 
-      // Clean up empty rooms (keep at least 1)
-      if (room.playerCount <= 0 && this.rooms.size > 1) {
-        room.game.stop();
-        this.rooms.delete(roomId);
-        console.log(`[Rooms] Removed empty ${roomId}`);
+    this.socketToRoom.delete(socketId);
+    return roomId;
+  }
+
+  /** Ownership hand-off and empty-room cleanup after a player left for good */
+  _afterLeave(roomId, room, socketId) {
+    // Hand ownership of a private room to someone still inside
+    if (room.ownerSocketId === socketId) {
+      room.ownerSocketId = null;
+      for (const [sid, rid] of this.socketToRoom) {
+        if (rid === roomId) {
+          room.ownerSocketId = sid;
+          break;
+        }
       }
     }
 
-    this.socketToRoom.delete(socketId);
+    // Clean up empty rooms (private always, public keeps at least 1)
+    if (room.playerCount <= 0 &&
+        (room.visibility === 'private' || this._countPublicRooms() > 1)) {
+      this._removeRoom(roomId, room);
+    }
+  }
+
+  /** Close a private room nobody ever got into (e.g. its creator's join was refused) */
+  discardEmptyRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room && room.visibility === 'private' && room.playerCount <= 0) this._removeRoom(roomId, room);
+  }
+
+  _removeRoom(roomId, room) {
+    room.game.stop();
+    this.rooms.delete(roomId);
+    if (room.code) this.codeToRoom.delete(room.code);
+    console.log(`[Rooms] Removed empty ${roomId}`);
+  }
+
+  _countPublicRooms() {
+    let count = 0;
+    for (const [, room] of this.rooms) {
+      if (room.visibility === 'public') count++;
+    }
+    return count;
+  }
+
+  /** Socket allowed to change a room's settings */
+  getRoomOwner(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? room.ownerSocketId : null;
+  }
+
+  /**
+   * Live players across all rooms for which `match(player)` is true.
+   * Returns [{ socketId, playerId, name, userId, roomId }].
+   */
+  findPlayers(match) {
+    const found = [];
+    for (const [roomId, room] of this.rooms) {
+      for (const { socketId, player } of room.game.getConnectedPlayers()) {
+        if (match(player)) {
+          found.push({ socketId, playerId: player.id, name: player.name, userId: player.userId || null, roomId });
+        }
+      }
+    }
+    return found;
   }
 
   /** Get total player count across all rooms */
@@ -119,6 +511,12 @@ export class RoomManager {
     return this.socketToRoom.get(socketId);
   }
 
+  /** Get game instance for a room */
+  getGame(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? room.game : null;
+  }
+
   /** Get game instance for a socket */
   getGameForSocket(socketId) {
     const roomId = this.socketToRoom.get(socketId);
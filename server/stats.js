@@ -0,0 +1,71 @@
+// Career stats routes — per-account totals and match history from the runs table
+// Runs are recorded for players linked to an account (see RoomManager.onRunEnd in index.js)
+
+import { Router } from 'express';
+import { getSessionUser } from './auth.js';
+import { getCareerStats, listRuns, getRun } from './db.js';
+
+const RUNS_PAGE_SIZE = 20;
+const MAX_RUNS_PAGE_SIZE = 50;
+
+/** Create the stats router (mounted at /api) */
+export function createStatsRouter() {
+  const router = Router();
+
+  // GET /api/me/stats — lifetime totals, averages and personal bests
+  router.get('/me/stats', async (req, res) => {
+    try {
+      const user = await getSessionUser(req);
+      if (!user) {
+        return res.status(401).json({ error: 'Not logged in' });
+      }
+      res.json({ stats: getCareerStats(user.id) });
+    } catch (err) {
+      console.error('[Stats] Career stats error:', err.message);
+      res.status(500).json({ error: 'Could not load stats' });
+    }
+  });
+
+  // GET /api/me/runs?cursor=&limit= — match history, newest first
+  router.get('/me/runs', async (req, res) => {
+    try {
+      const user = await getSessionUser(req);
+      if (!user) {
+        return res.status(401).json({ error: 'Not logged in' });
+      }
+
+      const cursor = req.query.cursor === undefined ? null : parseInt(req.query.cursor, 10);
+      if (cursor !== null && !(cursor > 0)) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      const limit = Math.min(MAX_RUNS_PAGE_SIZE, parseInt(req.query.limit, 10) || RUNS_PAGE_SIZE);
+
+      res.json(listRuns(user.id, { before: cursor, limit: Math.max(1, limit) }));
+    } catch (err) {
+      console.error('[Stats] Run history error:', err.message);
+      res.status(500).json({ error: 'Could not load runs' });
+    }
+  });
+
+  // GET /api/runs/:id — one of your runs with its full timeline
+  router.get('/runs/:id', async (req, res) => {
+    try {
+      const user = await getSessionUser(req);
+      if (!user) {
+        return res.status(401).json({ error: 'Not logged in' });
+      }
+
+      const run = getRun(parseInt(req.params.id, 10));
+      if (!run || run.userId !== user.id) {
+        return res.status(404).json({ error: 'Run not found' });
+      }
+      delete run.userId;
+      res.json({ run });
+    } catch (err) {
+      console.error('[Stats] Run detail error:', err.message);
+      res.status(500).json({ error: 'Could not load run' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,285 @@
+// Binary wire format for gameState snapshots (shared by server and client)
+// Schema-driven: each entity section lists its fields, a per-entity bitmask says which are present
+// Positions/angles are quantized, repeated strings (names, weapon keys, colors) go in a string table
+
+export const CODEC_VERSION = 4;
+
+const POS_SCALE = 4;        // 0.25 world-unit precision, int16 covers ±8191
+const ANGLE_STEPS = 65536;  // uint16 full circle
+const UNIT_STEPS = 255;     // uint8 for 0..1 values (alpha)
+const REMOVED = 0x80000000; // mask bit marking a removed entity
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Field types:
+ *   pos   int16, value * POS_SCALE     angle  uint16 over [0, 2π)
+ *   u8 / u16 / u32                     unit   uint8 over [0, 1]
+ *   deci  uint16, value * 10           bool   uint8
+ *   str   string table index           strs   uint8 count + string table indices
+ */
+const SCHEMAS = {
+  p: {
+    id: 'p',
+    fields: [
+      ['n', 'str'], ['x', 'pos'], ['y', 'pos'], ['a', 'angle'], ['h', 'u16'], ['mh', 'u16'],
+      ['l', 'u8'], ['r', 'u8'], ['w', 'strs'], ['al', 'bool'], ['im', 'bool'], ['c', 'str'],
+      ['s', 'u32'], ['xp', 'u32'], ['xn', 'u32'], ['sp', 'u8'],
+    ],
+  },
+  m: {
+    id: 'm',
+    fields: [
+      ['t', 'str'], ['x', 'pos'], ['y', 'pos'], ['h', 'u16'], ['mh', 'u16'], ['s', 'u8'], ['a', 'angle'],
+    ],
+  },
+  o: {
+    id: 'o',
+    fields: [
+      ['x', 'pos'], ['y', 'pos'], ['am', 'u32'], ['r', 'u8'],
+    ],
+  },
+  pr: {
+    id: null, // projectile ids are free-form strings
+    fields: [
+      ['t', 'str'], ['x', 'pos'], ['y', 'pos'], ['a', 'angle'], ['r', 'u16'], ['al', 'unit'],
+      ['lv', 'u8'], ['ln', 'u16'], ['lf', 'deci'], ['hp', 'u16'], ['mh', 'u16'], ['br', 'u8'], ['pr', 'u16'],
+    ],
+  },
+};
+
+const SECTIONS = ['p', 'm', 'o', 'pr'];
+const FLAG_FULL = 1;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/** UTF-8 bytes of a string, cut to at most `max` bytes without splitting a character */
+function utf8Prefix(s, max) {
+  const bytes = textEncoder.encode(s);
+  if (bytes.length <= max) return bytes;
+  let end = max;
+  while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--; // continuation byte: its character started earlier
+  return bytes.subarray(0, end);
+}
+
+/** Growable little-endian byte writer */
+class Writer {
+  constructor(size = 1024) {
+    this.buf = new ArrayBuffer(size);
+    this.view = new DataView(this.buf);
+    this.bytes = new Uint8Array(this.buf);
+    this.pos = 0;
+  }
+
+  _ensure(n) {
+    if (this.pos + n <= this.buf.byteLength) return;
+    let size = this.buf.byteLength * 2;
+    while (size < this.pos + n) size *= 2;
+    const next = new ArrayBuffer(size);
+    new Uint8Array(next).set(this.bytes);
+    this.buf = next;
+    this.view = new DataView(next);
+    this.bytes = new Uint8Array(next);
+  }
+
+  u8(v) { this._ensure(1); this.view.setUint8(this.pos, v); this.pos += 1; }
+  u16(v) { this._ensure(2); this.view.setUint16(this.pos, v, true); this.pos += 2; }
+  i16(v) { this._ensure(2); this.view.setInt16(this.pos, v, true); this.pos += 2; }
+  u32(v) { this._ensure(4); this.view.setUint32(this.pos, v, true); this.pos += 4; }
+  f64(v) { this._ensure(8); this.view.setFloat64(this.pos, v, true); this.pos += 8; }
+
+  raw(arr) {
+    this._ensure(arr.length);
+    this.bytes.set(arr, this.pos);
+    this.pos += arr.length;
+  }
+
+  finish() {
+    return this.buf.slice(0, this.pos);
+  }
+}
+
+/** Sequential little-endian byte reader */
+class Reader {
+  constructor(data) {
+    // Accept ArrayBuffer (browser) or Buffer/typed array (Node)
+    const view = data instanceof ArrayBuffer
+      ? new DataView(data)
+      : new DataView(data.buffer, data.byteOffset, data.byteLength);
+    this.view = view;
+    this.bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+    this.pos = 0;
+  }
+
+  u8() { const v = this.view.getUint8(this.pos); this.pos += 1; return v; }
+  u16() { const v = this.view.getUint16(this.pos, true); this.pos += 2; return v; }
+  i16() { const v = this.view.getInt16(this.pos, true); this.pos += 2; return v; }
+  u32() { const v = this.view.getUint32(this.pos, true); this.pos += 4; return v; }
+  f64() { const v = this.view.getFloat64(this.pos, true); this.pos += 8; return v; }
+
+  raw(n) {
+    const out = this.bytes.subarray(this.pos, this.pos + n);
+    this.pos += n;
+    return out;
+  }
+}
+
+function clamp(v, min, max) {
+  return v < min ? min : v > max ? max : v;
+}
+
+function writeField(w, type, value, strIndex) {
+  switch (type) {
+    case 'pos': w.i16(clamp(Math.round(value * POS_SCALE), -32768, 32767)); break;
+    case 'angle': {
+      const norm = ((value % TWO_PI) + TWO_PI) % TWO_PI;
+      w.u16(Math.round(norm / TWO_PI * ANGLE_STEPS) % ANGLE_STEPS);
+      break;
+    }
+    case 'u8': w.u8(clamp(Math.round(value), 0, 0xff)); break;
+    case 'u16': w.u16(clamp(Math.round(value), 0, 0xffff)); break;
+    case 'u32': w.u32(clamp(Math.round(value), 0, 0xffffffff)); break;
+    case 'unit': w.u8(clamp(Math.round(value * UNIT_STEPS), 0, UNIT_STEPS)); break;
+    case 'deci': w.u16(clamp(Math.round(value * 10), 0, 0xffff)); break;
+    case 'bool': w.u8(value ? 1 : 0); break;
+    case 'str': w.u16(strIndex(value)); break;
+    case 'strs':
+      w.u8(Math.min(value.length, 0xff));
+      for (let i = 0; i < Math.min(value.length, 0xff); i++) w.u16(strIndex(value[i]));
+      break;
+  }
+}
+
+function readField(r, type, strings) {
+  switch (type) {
+    case 'pos': return r.i16() / POS_SCALE;
+    case 'angle': {
+      const a = r.u16() / ANGLE_STEPS * TWO_PI;
+      return a > Math.PI ? a - TWO_PI : a; // Match Math.atan2 range (-π, π]
+    }
+    case 'u8': return r.u8();
+    case 'u16': return r.u16();
+    case 'u32': return r.u32();
+    case 'unit': return r.u8() / UNIT_STEPS;
+    case 'deci': return r.u16() / 10;
+    case 'bool': return r.u8() === 1;
+    case 'str': return strings[r.u16()];
+    case 'strs': {
+      const n = r.u8();
+      const out = new Array(n);
+      for (let i = 0; i < n; i++) out[i] = strings[r.u16()];
+      return out;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Encode a gameState object ({ full, sq, bs, in, t, tk, p, m, o, pr }) into an ArrayBuffer.
+ * Entities may be partial; only fields present (and known to the schema) are written.
+ */
+export function encodeSnapshot(state) {
+  const strings = [];
+  const stringIds = new Map();
+  const strIndex = (s) => {
+    const key = s == null ? '' : String(s);
+    let idx = stringIds.get(key);
+    if (idx === undefined) {
+      idx = strings.length;
+      strings.push(key);
+      stringIds.set(key, idx);
+    }
+    return idx;
+  };
+
+  // Body first so the string table is complete before we write it
+  const body = new Writer(4096);
+  for (const section of SECTIONS) {
+    const schema = SCHEMAS[section];
+    const list = state[section] || [];
+    body.u16(list.length);
+
+    for (const e of list) {
+      if (schema.id) body.u32(parseInt(e.i.slice(schema.id.length), 10) >>> 0);
+      else body.u16(strIndex(e.i));
+
+      if (e.rm) {
+        body.u32(REMOVED);
+        continue;
+      }
+
+      let mask = 0;
+      schema.fields.forEach(([key], bit) => {
+        if (e[key] !== undefined && e[key] !== null) mask |= (1 << bit);
+      });
+      body.u32(mask >>> 0);
+
+      schema.fields.forEach(([key, type], bit) => {
+        if (mask & (1 << bit)) writeField(body, type, e[key], strIndex);
+      });
+    }
+  }
+
+  const out = new Writer(256 + body.pos);
+  out.u8(CODEC_VERSION);
+  out.u8(state.full ? FLAG_FULL : 0);
+  out.u32(state.sq || 0); // snapshot sequence number
+  out.u32(state.bs || 0); // baseline sequence a delta applies to
+  out.u32(state.in || 0); // last input sequence the server processed for this client
+  out.f64(state.t || 0);  // server time (ms since epoch) when the snapshot was taken
+  out.u32(state.tk || 0); // server simulation tick
+  out.u16(strings.length);
+  for (const s of strings) {
+    const bytes = utf8Prefix(s, 0xff);
+    out.u8(bytes.length);
+    out.raw(bytes);
+  }
+  out.raw(new Uint8Array(body.buf, 0, body.pos));
+  return out.finish();
+}
+
+/** Decode an ArrayBuffer (or Node Buffer) produced by encodeSnapshot back into a gameState object */
+export function decodeSnapshot(data) {
+  const r = new Reader(data);
+  const version = r.u8();
+  if (version !== CODEC_VERSION) {
+    throw new Error(`Unsupported snapshot version ${version}`);
+  }
+  const flags = r.u8();
+  const sq = r.u32();
+  const bs = r.u32();
+  const inputSeq = r.u32();
+  const time = r.f64();
+  const tick = r.u32();
+
+  const stringCount = r.u16();
+  const strings = new Array(stringCount);
+  for (let i = 0; i < stringCount; i++) {
+    strings[i] = textDecoder.decode(r.raw(r.u8()));
+  }
+
+  const state = { full: (flags & FLAG_FULL) !== 0, sq, in: inputSeq, t: time, tk: tick };
+  if (!state.full) state.bs = bs;
+  for (const section of SECTIONS) {
+    const schema = SCHEMAS[section];
+    const count = r.u16();
+    const list = new Array(count);
+
+    for (let n = 0; n < count; n++) {
+      const id = schema.id ? schema.id + r.u32() : strings[r.u16()];
+      const mask = r.u32();
+      if (mask === REMOVED) {
+        list[n] = { i: id, rm: true };
+        continue;
+      }
+
+      const e = { i: id };
+      schema.fields.forEach(([key, type], bit) => {
+        if (mask & (1 << bit)) e[key] = readField(r, type, strings);
+      });
+      list[n] = e;
+    }
+    state[section] = list;
+  }
+  return state;
+}
@@ -87,6 +87,13 @@ export const PASSIVES = {
   area:     { name: 'Area',        description: '+10% weapon area', perLevel: 0.1, maxLevel: 3 },
 };
 
+// Movement per server tick (used by ServerPlayer.update and client-side prediction)
+export const MOVEMENT = {
+  speedFormula: (level, speedLevel) =>
+    PLAYER.BASE_SPEED * (1 + speedLevel * PASSIVES.speed.perLevel + (level - 1) * 0.02),
+  radiusFormula: (level) => Math.min(PLAYER.RADIUS + (level - 1) * 1.5, 50),
+};
+
 export const LEVELING = {
   xpFormula: (level) => level * 100 + (level * level * 10),
   OPTIONS_COUNT: 3,
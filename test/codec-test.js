@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * STACK.io Codec Test
+ * Round-trips gameState snapshots through the binary wire format (no server or network needed).
+ * Tests: full and delta snapshots, quantized positions, removed entities, long multi-byte strings
+ *
+ * Usage: node test/codec-test.js
+ */
+
+import { encodeSnapshot, decodeSnapshot } from '../shared/codec.js';
+
+const results = [];
+function check(name, pass, detail) {
+  results.push({ name, pass, detail });
+}
+
+const roundTrip = state => decodeSnapshot(encodeSnapshot(state));
+
+// ========== SCENARIOS ==========
+
+function testFull() {
+  const state = {
+    full: true,
+    p: [{ i: 'p1', n: 'Alice', x: 1234.56, y: 789.12, h: 80, mh: 100, l: 4, al: true, c: '#ff0000', s: 4200 }],
+    m: [{ i: 'm7', t: 'slime', x: 10, y: 20, h: 5, mh: 10 }],
+    o: [{ i: 'o3', x: 50.5, y: 60.25, am: 12 }],
+    pr: [],
+  };
+  const out = roundTrip(state);
+  const p = out.p[0];
+  const ok = out.full && p.i === 'p1' && p.n === 'Alice' && p.c === '#ff0000' && p.al === true &&
+    Math.abs(p.x - 1234.56) <= 0.25 && Math.abs(p.y - 789.12) <= 0.25 &&
+    out.m[0].t === 'slime' && out.o[0].am === 12;
+  check('Full snapshot round-trips', ok, `player ${p.n} at ${p.x},${p.y}, ${out.m.length} mob, ${out.o.length} orb`);
+}
+
+function testDelta() {
+  const out = roundTrip({ full: false, p: [{ i: 'p1', x: 100 }, { i: 'p2', rm: true }], m: [], o: [], pr: [] });
+  const [moved, removed] = out.p;
+  const ok = !out.full && moved.x === 100 && moved.n === undefined && removed.i === 'p2' && removed.rm === true;
+  check('Delta keeps only changed fields and removals', ok,
+    `fields sent: ${Object.keys(moved).join(', ')}; removed: ${removed.i}`);
+}
+
+function testMultiByteStrings() {
+  // Far longer than the 255-byte string limit, in 2-, 3- and 4-byte UTF-8 characters
+  const names = ['é'.repeat(200), '€'.repeat(100), '👾'.repeat(80), 'a' + '€'.repeat(100)];
+  const broken = [];
+  for (const name of names) {
+    const decoded = roundTrip({ full: true, p: [{ i: 'p1', n: name }], m: [], o: [], pr: [] }).p[0].n;
+    const bytes = new TextEncoder().encode(decoded).length;
+    if (decoded.includes('\uFFFD') || !name.startsWith(decoded) || bytes > 255 || bytes < 252) {
+      broken.push(`${Array.from(name)[0]}×${Array.from(name).length} -> ${decoded.length} chars, ${bytes} bytes`);
+    }
+  }
+  check('Long multi-byte strings are cut on a character boundary', broken.length === 0,
+    broken.length > 0 ? broken.join('; ') : `${names.length} strings truncated cleanly`);
+}
+
+// ========== RUN ==========
+
+console.log(`\n📡 STACK.io Codec Test\n`);
+
+try {
+  testFull();
+  testDelta();
+  testMultiByteStrings();
+} catch (err) {
+  check('Codec ran', false, err.stack);
+}
+
+console.log(`${'='.repeat(50)}`);
+console.log(`  STACK.io Codec Results`);
+console.log(`${'='.repeat(50)}`);
+for (const { name, pass, detail } of results) {
+  console.log(`  ${pass ? '✅' : '❌'} ${name}`);
+  console.log(`       ${detail}`);
+}
+
+const passed = results.every(r => r.pass);
+console.log(`\n  ${passed ? '🎉 ALL TESTS PASSED' : '⚠️  SOME TESTS NEED ATTENTION'}`);
+console.log(`${'='.repeat(50)}\n`);
+
+process.exit(passed ? 0 : 1);
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * STACK.io Matchmaking Test
+ * Simulates many joins through RoomManager + MatchPolicy (no server or network needed)
+ * and checks how players end up distributed over rooms.
+ * Tests: room fill, skill clusters, regions, party sizes, modes, wait + fallback, weighting
+ *
+ * Usage: node test/matchmaking-test.js [joins]
+ *   joins: players per scenario (default: 300)
+ */
+
+import { RoomManager } from '../server/rooms.js';
+import { MatchPolicy } from '../server/matchmaking.js';
+import { SERVER_CONFIG } from '../server/config.js';
+import { NETWORK } from '../shared/constants.js';
+
+const JOINS = parseInt(process.argv[2]) || 300;
+const CAP = NETWORK.MAX_PLAYERS_PER_ROOM;
+
+// Rooms only broadcast; nothing listens in this test
+const io = { to: () => ({ emit() {} }), emit() {} };
+
+// Deterministic pseudo-random numbers so failures reproduce
+let seed = 42;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+
+const results = [];
+function check(name, pass, detail) {
+  results.push({ name, pass, detail });
+}
+
+let socketCounter = 0;
+
+/**
+ * Join one player like the server does: retry while matchmaking says wait, link the account rating.
+ * Returns { roomId, waited } (waited in ms of simulated time).
+ */
+function join(rooms, request) {
+  const socketId = `sim_${++socketCounter}`;
+  let waited = 0;
+  for (;;) {
+    const result = rooms.joinRoom(socketId, 'Player', null, { ...request, waited });
+    if (result.waiting) {
+      waited += SERVER_CONFIG.MATCH_RETRY_INTERVAL;
+      continue;
+    }
+    if (result.error) throw new Error(`${socketId}: ${result.error}`);
+    if (request.rating !== undefined) rooms.linkPlayerToAccount(socketId, socketCounter, true, request.rating);
+    return { roomId: result.roomId, waited };
+  }
+}
+
+/** Players of every public room: roomId -> [request] */
+function occupants(placements) {
+  const byRoom = new Map();
+  for (const { roomId, request } of placements) {
+    if (!byRoom.has(roomId)) byRoom.set(roomId, []);
+    byRoom.get(roomId).push(request);
+  }
+  return byRoom;
+}
+
+// ========== SCENARIOS ==========
+
+function testFill() {
+  const rooms = new RoomManager(io);
+  const placements = [];
+  for (let i = 0; i < JOINS; i++) {
+    const request = {};
+    placements.push({ ...join(rooms, request), request });
+  }
+  const sizes = [...occupants(placements).values()].map(players => players.length);
+  const expectedRooms = Math.ceil(JOINS / CAP);
+  check('Guests fill rooms in turn',
+    sizes.length === expectedRooms && sizes.filter(n => n < CAP).length <= 1 && Math.max(...sizes) <= CAP,
+    `${JOINS} guests -> ${sizes.length} rooms (${sizes.join(', ')}), expected ${expectedRooms}`);
+}
+
+function testSkillClusters() {
+  const rooms = new RoomManager(io);
+  const placements = [];
+  let waits = 0;
+  for (let i = 0; i < JOINS; i++) {
+    const base = i % 2 === 0 ? 1000 : 1800;
+    const request = { rating: base + (random() - 0.5) * 100 };
+    const placed = join(rooms, request);
+    if (placed.waited > 0) waits++;
+    placements.push({ ...placed, request });
+  }
+  const spreads = [...occupants(placements).values()].map(players => {
+    const ratings = players.map(p => p.rating);
+    return Math.max(...ratings) - Math.min(...ratings);
+  });
+  const worst = Math.max(...spreads);
+  check('Rated players grouped by skill',
+    worst < SERVER_CONFIG.MATCH_RATING_SPREAD,
+    `two clusters 800 apart, widest room rating spread ${Math.round(worst)} over ${spreads.length} rooms`);
+  check('Skill groups placed without waiting', waits === 0, `${waits} of ${JOINS} players had to wait`);
+}
+
+function testRegions() {
+  const rooms = new RoomManager(io);
+  const regions = ['eu', 'na', 'asia'];
+  const placements = [];
+  for (let i = 0; i < JOINS; i++) {
+    const request = { region: regions[Math.floor(random() * regions.length)] };
+    placements.push({ ...join(rooms, request), request });
+  }
+  let matched = 0;
+  for (const { roomId, request } of placements) {
+    if (rooms.rooms.get(roomId).region === request.region) matched++;
+  }
+  check('Players land in their region',
+    matched / JOINS >= 0.95,
+    `${matched}/${JOINS} in a room tagged with their region`);
+}
+
+function testParties() {
+  const rooms = new RoomManager(io);
+  let overfull = 0;
+  let split = 0;
+  let joined = 0;
+  while (joined < JOINS) {
+    const partySize = 1 + Math.floor(random() * 4);
+    const roomId = rooms.findRoom({ partySize });
+    const room = rooms.rooms.get(roomId);
+    if (room.maxPlayers - room.playerCount < partySize) overfull++;
+    for (let i = 0; i < partySize; i++) {
+      const result = rooms.joinRoom(`party_${++socketCounter}`, 'Player', roomId);
+      if (result.error) split++;
+    }
+    joined += partySize;
+  }
+  const maxCount = Math.max(...[...rooms.rooms.values()].map(r => r.playerCount));
+  check('Parties fit in one room',
+    overfull === 0 && split === 0 && maxCount <= CAP,
+    `${joined} players in parties of 1-4, ${overfull} rooms without space, ${split} refused members`);
+}
+
+function testModes() {
+  const rooms = new RoomManager(io);
+  const duelRoom = rooms._createRoom({ mode: 'duel' });
+  let wrong = 0;
+  for (let i = 0; i < JOINS / 2; i++) {
+    const mode = i % 5 === 0 ? 'duel' : 'ffa';
+    const { roomId } = join(rooms, { mode });
+    if (rooms.rooms.get(roomId).mode !== mode) wrong++;
+  }
+  check('Modes never mix', wrong === 0 && rooms.rooms.get(duelRoom).playerCount > 0,
+    `${wrong} players in a room of another mode`);
+}
+
+function testWaitAndFallback() {
+  const policy = new MatchPolicy({ maxOpenRooms: 1 });
+  const rooms = new RoomManager(io, { matchPolicy: policy });
+  for (let i = 0; i < 10; i++) join(rooms, { rating: 1000 });
+  const lowRoom = [...rooms.rooms.keys()][0];
+
+  const early = rooms.findRoom({ rating: 2000, waited: 0 });
+  const { roomId, waited } = join(rooms, { rating: 2000 });
+  check('Mismatched player waits, then falls back to the fullest room',
+    early === null && roomId === lowRoom && waited >= SERVER_CONFIG.MATCH_FALLBACK_WAIT,
+    `placed in ${roomId} after ${waited}ms (fallback at ${SERVER_CONFIG.MATCH_FALLBACK_WAIT}ms)`);
+}
+
+function testWeights() {
+  // Fill-only weighting with no quality bar behaves like the old "fullest room with space"
+  const policy = new MatchPolicy({ weights: { fill: 1, rating: 0, region: 0 }, minQuality: 0 });
+  const rooms = new RoomManager(io, { matchPolicy: policy });
+  rooms._createRoom();
+  rooms._createRoom();
+  let notFullest = 0;
+  for (let i = 0; i < JOINS; i++) {
+    const open = [...rooms.rooms.values()].filter(r => r.playerCount < r.maxPlayers);
+    const fullest = open.length > 0 ? Math.max(...open.map(r => r.playerCount)) : 0; // all full: a new room
+    const { roomId } = join(rooms, { rating: random() * 2000, region: random() < 0.5 ? 'eu' : 'na' });
+    if (rooms.rooms.get(roomId).playerCount - 1 !== fullest) notFullest++;
+  }
+  check('Fill-only weighting picks the fullest room', notFullest === 0,
+    `${notFullest} of ${JOINS} joins skipped a fuller room`);
+}
+
+// ========== RUN ==========
+
+const startTime = Date.now();
+console.log(`\n🎯 STACK.io Matchmaking Test`);
+console.log(`   Joins per scenario: ${JOINS}`);
+console.log(`   Room cap: ${CAP}\n`);
+
+// Room and player logs would drown the report
+const log = console.log;
+console.log = () => {};
+try {
+  testFill();
+  testSkillClusters();
+  testRegions();
+  testParties();
+  testModes();
+  testWaitAndFallback();
+  testWeights();
+} catch (err) {
+  check('Simulation ran', false, err.message);
+} finally {
+  console.log = log;
+}
+
+const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+console.log(`${'='.repeat(50)}`);
+console.log(`  STACK.io Matchmaking Results (${elapsed}s)`);
+console.log(`${'='.repeat(50)}`);
+for (const { name, pass, detail } of results) {
+  console.log(`  ${pass ? '✅' : '❌'} ${name}`);
+  console.log(`       ${detail}`);
+}
+
+const passed = results.every(r => r.pass);
+console.log(`\n  ${passed ? '🎉 ALL TESTS PASSED' : '⚠️  SOME TESTS NEED ATTENTION'}`);
+console.log(`${'='.repeat(50)}\n`);
+
+// Room game loops keep the process alive
+process.exit(passed ? 0 : 1);
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * STACK.io Name Filter Test
+ * Runs player names through the server's name rules (no server or network needed).
+ * Tests: blocked words in disguise, innocent names containing blocked words, bot and registered names
+ *
+ * Usage: node test/names-test.js
+ */
+
+import { validateName, nameSkeleton } from '../server/names.js';
+
+const results = [];
+function check(name, pass, detail) {
+  results.push({ name, pass, detail });
+}
+
+const BLOCKED = [
+  'fuck', 'xXfuckXx', 'FuUuUck', 'f.u.c.k', 'Sh1t', 'ShitLord', 'big shit', 'bullshit',
+  'Nazi', 'N4zi_Boss', 'Pedo', 'p3d0', 'Rapist', 'BigDick', 'big_dick', 'Аss', // Cyrillic А
+  'niiigger', 'N1gg3r', 'c.u.n.t', 'PornKing', 'p0rn',
+];
+
+// Ordinary names that contain a blocked word somewhere inside
+const ALLOWED = [
+  'Nazir', 'Torpedo', 'Speedo', 'Pedometer', 'Therapist', 'Shitake', 'Shiitake',
+  'Dickens', 'Grapes', 'Cassandra', 'Classic', 'Titan', 'Niger', 'Nigeria', 'Scunthorpe', 'Spornstein',
+  'Penistone', 'Retardant',
+];
+
+const BOTS = ['Bot_Alex', 'Bot_Sam'];
+
+// ========== SCENARIOS ==========
+
+function testBlocked() {
+  const passed = BLOCKED.filter(name => !validateName(name).error);
+  check('Blocked words are refused in any disguise', passed.length === 0,
+    passed.length > 0 ? `accepted: ${passed.join(', ')}` : `${BLOCKED.length} names refused`);
+}
+
+function testAllowed() {
+  const refused = ALLOWED.filter(name => validateName(name).error);
+  check('Innocent names containing blocked words are accepted', refused.length === 0,
+    refused.length > 0 ? `refused: ${refused.join(', ')}` : `${ALLOWED.length} names accepted`);
+}
+
+function testBots() {
+  const disguised = ['B0t_Alex', 'bot alex', 'Bot_Аlex', 'bot123', 'Bot_Anything'];
+  const passed = disguised.filter(name => !validateName(name, { botNames: BOTS }).error);
+  const plain = validateName('Robotnik', { botNames: BOTS });
+  check('Bot names are reserved', passed.length === 0 && !plain.error,
+    passed.length > 0 ? `accepted: ${passed.join(', ')}` : `${disguised.length} lookalikes refused, Robotnik accepted`);
+}
+
+function testRegistered() {
+  const owners = new Map([[nameSkeleton('Alice'), 7]]);
+  const registeredOwner = skeleton => owners.get(skeleton) || null;
+  const stranger = validateName('Al1ce', { registeredOwner, userId: 8 });
+  const owner = validateName('Alice', { registeredOwner, userId: 7 });
+  check('Registered names belong to their account', !!stranger.taken && owner.name === 'Alice',
+    `stranger: ${stranger.error || 'accepted'}, owner: ${owner.error || 'accepted'}`);
+}
+
+function testDefaults() {
+  const empty = validateName('   ');
+  const symbols = validateName('~~~');
+  check('Empty names get the default, symbol-only names are refused',
+    empty.name === 'Player' && !!symbols.error,
+    `empty -> ${empty.name}, "~~~" -> ${symbols.error || symbols.name}`);
+}
+
+// ========== RUN ==========
+
+console.log(`\n🔤 STACK.io Name Filter Test\n`);
+
+testBlocked();
+testAllowed();
+testBots();
+testRegistered();
+testDefaults();
+
+console.log(`${'='.repeat(50)}`);
+console.log(`  STACK.io Name Filter Results`);
+console.log(`${'='.repeat(50)}`);
+for (const { name, pass, detail } of results) {
+  console.log(`  ${pass ? '✅' : '❌'} ${name}`);
+  console.log(`       ${detail}`);
+}
+
+const passed = results.every(r => r.pass);
+console.log(`\n  ${passed ? '🎉 ALL TESTS PASSED' : '⚠️  SOME TESTS NEED ATTENTION'}`);
+console.log(`${'='.repeat(50)}\n`);
+
+process.exit(passed ? 0 : 1);
@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * STACK.io Snapshot Test
+ * Runs the browser Network client against a ServerGame in-process over the binary wire format
+ * (no server or network needed) and checks the ack/delta protocol end to end.
+ * Tests: acks move the server baseline, deltas rebuild the server's view, lost snapshots,
+ *        missing baselines trigger a single resync
+ *
+ * Usage: node test/snapshot-test.js [snapshots]
+ *   snapshots: gameState sends per scenario (default: 60)
+ */
+
+import { register } from 'node:module';
+import { ServerGame } from '../server/game.js';
+
+const SNAPSHOTS = parseInt(process.argv[2]) || 60;
+const POS_TOLERANCE = 0.5; // binary positions are quantized to 0.25
+
+// The client imports shared code by its web path (/shared/...); serve those from the repo
+const root = new URL('../', import.meta.url).href;
+register(`data:text/javascript,${encodeURIComponent(`
+  export async function resolve(specifier, context, next) {
+    if (specifier.startsWith('/shared/')) return next(${JSON.stringify(root)} + specifier.slice(1), context);
+    return next(specifier, context);
+  }
+`)}`);
+const { Network } = await import('../client/js/network.js');
+
+const results = [];
+function check(name, pass, detail) {
+  results.push({ name, pass, detail });
+}
+
+/**
+ * One game and one connected client, wired like socket.io would: server emits to the
+ * client's socket id land in the client's handlers, client emits reach the game.
+ * `drop(state)` decides which gameState packets get lost on the way.
+ */
+function connect() {
+  const socketId = 'sock_test';
+  const link = { drop: () => false, sent: 0, delivered: 0, acks: 0, resyncs: 0 };
+  const handlers = new Map();
+
+  const clientSocket = {
+    on(event, fn) { handlers.set(event, fn); },
+    emit(event, data) {
+      if (event === 'ack') {
+        link.acks++;
+        game.handleAck(socketId, data);
+      } else if (event === 'resync') {
+        link.resyncs++;
+        game.handleResync(socketId);
+      }
+    },
+    volatile: { emit() {} },
+    io: { engine: { close() {} } },
+  };
+  const deliver = (event, data) => {
+    const fn = handlers.get(event);
+    if (fn) fn(data);
+  };
+
+  const io = {
+    to: (id) => ({
+      emit(event, data) {
+        if (id !== socketId) return;
+        if (event === 'gameState') {
+          link.sent++;
+          if (link.drop(data)) return;
+          link.delivered++;
+        }
+        deliver(event, data);
+      },
+    }),
+    emit() {},
+  };
+
+  const game = new ServerGame(io, 'room_test');
+  const player = game.addPlayer(socketId, 'Tester');
+  game.setWireFormat(socketId, 'binary');
+
+  globalThis.io = () => clientSocket;
+  const network = new Network();
+  network.connect();
+  deliver('connect');
+  deliver('joined', { id: player.id, roomId: 'room_test' });
+
+  return { game, network, player, socketId, link };
+}
+
+/** Advance the simulation and send one round of snapshots */
+function step(game) {
+  for (let i = 0; i < 3; i++) game.tick();
+  game.sendState();
+}
+
+/** Entities the server last sent vs what the client rebuilt: list of mismatch descriptions */
+function compareWithServer(game, network, socketId) {
+  const client = game.clientSnapshots.get(socketId);
+  const sent = client.history.get(client.seq);
+  const mismatches = [];
+  const sections = [['p', network.players], ['m', network.mobs], ['o', network.orbs]];
+  for (const [section, rebuilt] of sections) {
+    const byId = new Map(rebuilt.map(e => [e.i, e]));
+    if (byId.size !== sent[section].length) {
+      mismatches.push(`${section}: ${byId.size} entities, server sent ${sent[section].length}`);
+      continue;
+    }
+    for (const entity of sent[section]) {
+      const mine = byId.get(entity.i);
+      if (!mine) {
+        mismatches.push(`${section}: missing ${entity.i}`);
+      } else if (Math.abs(mine.x - entity.x) > POS_TOLERANCE || Math.abs(mine.y - entity.y) > POS_TOLERANCE) {
+        mismatches.push(`${section}: ${entity.i} at ${mine.x},${mine.y}, server ${entity.x},${entity.y}`);
+      }
+    }
+  }
+  return mismatches;
+}
+
+// ========== SCENARIOS ==========
+
+function testAcks() {
+  const { game, network, player, socketId, link } = connect();
+  let deltas = 0;
+  network.onGameState = (state) => {
+    if (!state.full) deltas++;
+  };
+  for (let i = 0; i < SNAPSHOTS; i++) {
+    game.handleInput(socketId, { seq: i + 1, angle: (i % 12) / 2, moving: true });
+    step(game);
+  }
+  const client = game.clientSnapshots.get(socketId);
+  check('Client acks every applied snapshot',
+    link.acks === link.delivered && client.acking && client.ackedSeq === client.seq,
+    `${link.acks} acks for ${link.delivered} snapshots, server baseline ${client.ackedSeq}/${client.seq}`);
+  check('Server sends deltas against acked snapshots',
+    deltas === link.delivered - 1 && link.resyncs === 0,
+    `${deltas} deltas, ${link.delivered - deltas} full, ${link.resyncs} resyncs`);
+
+  const mismatches = compareWithServer(game, network, socketId);
+  const local = network.getLocalPlayer();
+  check('Deltas rebuild the server view',
+    mismatches.length === 0 && local && Math.abs(local.x - player.x) <= POS_TOLERANCE,
+    mismatches.length > 0 ? mismatches.slice(0, 3).join('; ') : `${network.mobs.length} mobs, ${network.orbs.length} orbs in view`);
+  check('Client keeps a bounded history',
+    network.snapshotHistory.size <= 40 && network.snapshotHistory.has(client.seq),
+    `${network.snapshotHistory.size} baselines kept`);
+}
+
+function testLoss() {
+  const { game, network, socketId, link } = connect();
+  // Lose every third snapshot after the first
+  let n = 0;
+  link.drop = () => ++n > 1 && n % 3 === 0;
+  for (let i = 0; i < SNAPSHOTS; i++) step(game);
+  link.drop = () => false;
+  step(game);
+
+  const mismatches = compareWithServer(game, network, socketId);
+  check('Lost snapshots need no resync',
+    link.resyncs === 0 && mismatches.length === 0,
+    `${link.sent - link.delivered} of ${link.sent} lost, ${link.resyncs} resyncs` +
+      (mismatches.length > 0 ? `: ${mismatches.slice(0, 3).join('; ')}` : ''));
+}
+
+function testResync() {
+  const { game, network, socketId, link } = connect();
+  for (let i = 0; i < 5; i++) step(game);
+
+  // Baselines gone (e.g. evicted): every delta until a full snapshot is unusable
+  network.snapshotHistory.clear();
+  let fullAfter = 0;
+  network.onGameState = (state) => {
+    if (state.full) fullAfter++;
+  };
+  // Deliver two deltas against the lost baseline before the server reacts to the resync
+  const handleResync = game.handleResync.bind(game);
+  let pending = 0;
+  game.handleResync = () => { pending++; };
+  step(game);
+  step(game);
+  const duringGap = link.resyncs;
+  game.handleResync = handleResync;
+  if (pending > 0) game.handleResync(socketId);
+  step(game);
+  for (let i = 0; i < 5; i++) step(game);
+
+  const mismatches = compareWithServer(game, network, socketId);
+  check('Missing baseline sends one resync, then recovers',
+    duringGap === 1 && fullAfter === 1 && !network.resyncPending && mismatches.length === 0,
+    `${duringGap} resyncs while waiting, ${fullAfter} full snapshots after` +
+      (mismatches.length > 0 ? `: ${mismatches.slice(0, 3).join('; ')}` : ''));
+}
+
+// ========== RUN ==========
+
+const startTime = Date.now();
+console.log(`\n📦 STACK.io Snapshot Test`);
+console.log(`   Snapshots per scenario: ${SNAPSHOTS}\n`);
+
+// Game and network logs would drown the report
+const log = console.log;
+console.log = () => {};
+try {
+  testAcks();
+  testLoss();
+  testResync();
+} catch (err) {
+  check('Simulation ran', false, err.stack);
+} finally {
+  console.log = log;
+}
+
+const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+console.log(`${'='.repeat(50)}`);
+console.log(`  STACK.io Snapshot Results (${elapsed}s)`);
+console.log(`${'='.repeat(50)}`);
+for (const { name, pass, detail } of results) {
+  console.log(`  ${pass ? '✅' : '❌'} ${name}`);
+  console.log(`       ${detail}`);
+}
+
+const passed = results.every(r => r.pass);
+console.log(`\n  ${passed ? '🎉 ALL TESTS PASSED' : '⚠️  SOME TESTS NEED ATTENTION'}`);
+console.log(`${'='.repeat(50)}\n`);
+
+process.exit(passed ? 0 : 1);